@@ -72,6 +72,35 @@
         return angular.equals(obj1, obj2);
     }
 
+    /**
+     * Returns true if obj1 and obj2 are shallowly equal.  Two Arrays are shallowly equal if they
+     * have the same length and their elements pass `===` comparison.  Two Objects are shallowly equal
+     * if they have the same own properties and the values of those properties pass `===` comparison.
+     * This is the comparison used by $watchCollection.  NaN is considered equal to NaN.
+     *
+     * @param {Object|Array|value} obj1 The first object
+     * @param {Object|Array|value} obj2 The second object
+     * @returns {Boolean} True if the two objects are equal using a shallow
+     *   comparison.
+     */
+    function areShallowEqual(obj1, obj2) {
+        if ((obj1 === obj2) || (_.isNaN(obj1) && _.isNaN(obj2))) {
+            return true;
+        }
+        if (!_.isObject(obj1) || !_.isObject(obj2) || (_.isArray(obj1) !== _.isArray(obj2))) {
+            return false;
+        }
+        let keys1 = _.keys(obj1);
+        let keys2 = _.keys(obj2);
+        if (keys1.length !== keys2.length) {
+            return false;
+        }
+        return _.every(keys1, function (key) {
+            return hasProperty(obj2, key) &&
+                ((obj1[key] === obj2[key]) || (_.isNaN(obj1[key]) && _.isNaN(obj2[key])));
+        });
+    }
+
     /**
      * Returns a deep copy of source, where source can be an Object or an Array.  If a destination is
      * provided, all of its elements (for Array) or properties (for Objects) are deleted and then all
@@ -87,6 +116,124 @@
         return angular.copy(source, destination);
     }
 
+    /**
+     * @param {String|Function} watchExpression The expression passed to $watch
+     * @returns {String} The text of the expression if it is a string, or a function with a string
+     *   'exp' property such as an interpolation, or undefined otherwise
+     */
+    function getWatchExpressionText(watchExpression) {
+        return _.isFunction(watchExpression) ? watchExpression.exp : watchExpression;
+    }
+
+    /**
+     * The prefix marking the value of a slyAlwaysEvaluate-like attribute as a list of entries.
+     */
+    let LIST_PREFIX = 'list:';
+
+    /**
+     * Parses the value of a slyAlwaysEvaluate-like attribute into a function that returns true
+     * if a watcher should be exempted from a gate (that is, always evaluated).
+     *
+     * A plain value is a single substring, exempting any watch expression containing it (even if it
+     * looks like an array).  A value starting with LIST_PREFIX ('list:') is instead the expression of
+     * an array of entries, evaluated against scope, each of which is one of:
+     *  - A string, exempting watch expressions containing it.
+     *  - A string of the form '/pattern/flags' or a RegExp, exempting matching watch expressions.
+     *  - A string of the form 'directive:name', exempting watchers registered by the named
+     *    directive (those passing it as the directiveName argument to $watch).
+     * Watch expressions are only matched if they are strings, or functions with a string 'exp'
+     * property such as interpolations.
+     *
+     * For example:  sly-always-evaluate="list:['timestamp', '/^status\\./', 'directive:slyShow']"
+     *
+     * @param {String} value The value of the attribute
+     * @param {String} attributeName The name of the attribute, used in error messages
+     * @param {Object} scope The scope to evaluate a list of entries against
+     * @returns {Function} A function taking the watchExpression and directiveName of a watcher
+     *   and returning true if it should be exempted
+     */
+    function createWatcherExemption(value, attributeName, scope) {
+        if (isStringEmpty(value)) {
+            throw new Error('Empty string is illegal for value of ' + attributeName);
+        }
+        if (value.indexOf(LIST_PREFIX) !== 0) {
+            return function isExempt(watchExpression) {
+                let text = getWatchExpressionText(watchExpression);
+                return isStringNonempty(text) && (text.indexOf(value) >= 0);
+            };
+        }
+
+        let entries = scope.$eval(value.substring(LIST_PREFIX.length));
+        if (!_.isArray(entries) || (entries.length === 0)) {
+            throw new Error('The value of ' + attributeName + " must evaluate to a nonempty array: '" + value + "'");
+        }
+        let substrings = [];
+        let patterns = [];
+        let directiveNames = [];
+        _.forEach(entries, function (entry) {
+            if (_.isRegExp(entry)) {
+                patterns.push(entry);
+                return;
+            }
+            if (!_.isString(entry)) {
+                throw new Error('Unknown entry in ' + attributeName + " (must be a string or RegExp): '" + entry + "'");
+            }
+            if (isStringEmpty(entry)) {
+                throw new Error('Empty string is illegal for an entry in ' + attributeName);
+            }
+            let regExpMatch = /^\/(.+)\/([a-z]*)$/.exec(entry);
+            if (!_.isNull(regExpMatch)) {
+                try {
+                    patterns.push(new RegExp(regExpMatch[1], regExpMatch[2]));
+                } catch (e) {
+                    throw new Error('Illegal regular expression in ' + attributeName + ": '" + entry + "': " + e.message);
+                }
+            } else if (entry.indexOf('directive:') === 0) {
+                let directiveName = entry.substring('directive:'.length);
+                if (isStringEmpty(directiveName)) {
+                    throw new Error('Missing directive name in ' + attributeName + ": '" + entry + "'");
+                }
+                directiveNames.push(directiveName);
+            } else {
+                substrings.push(entry);
+            }
+        });
+
+        return function isExempt(watchExpression, directiveName) {
+            if (!_.isUndefined(directiveName) && (directiveNames.indexOf(directiveName) >= 0)) {
+                return true;
+            }
+            let text = getWatchExpressionText(watchExpression);
+            if (!isStringNonempty(text)) {
+                return false;
+            }
+            return _.some(substrings, function (substring) {
+                return text.indexOf(substring) >= 0;
+            }) || _.some(patterns, function (pattern) {
+                pattern.lastIndex = 0;
+                return pattern.test(text);
+            });
+        };
+    }
+
+    /**
+     * Returns the shouldGateFunction for $addWatcherGate used by the sly directives, which gates a
+     * watcher unless slyGateExemptions or the directive's own exemption (such as one created by
+     * createWatcherExemption from slyAlwaysEvaluate) exempts it.
+     *
+     * @param {Object} slyGateExemptions The slyGateExemptions service
+     * @param {String} kind The kind of the gate, such as 'onlyWhen'
+     * @param {Function} isExempt The directive's exemption, taking the watchExpression and
+     *   directiveName of a watcher, or null if there is none
+     * @returns {Function} The shouldGateFunction
+     */
+    function createShouldGateWatcher(slyGateExemptions, kind, isExempt) {
+        return function shouldGateWatcher(watchExpression, listener, equality, directiveName) {
+            return !slyGateExemptions.isExempt(kind, watchExpression, listener, equality, directiveName) &&
+                (_.isNull(isExempt) || !isExempt(watchExpression, directiveName));
+        };
+    }
+
     /**
      * Similar to defineScalyrJsLibary but instead of declaring
      * a purely javascript library, this declares an Angular module
@@ -111,6 +258,268 @@
         return angular.module(moduleName, dependencies);
     }
 
+    /**
+     * The ways slyEvaluateOnlyWhen can compare the current value of its expression to the
+     * previous one, keyed by the value of the slyEvaluateComparison attribute.  The snapshot
+     * function returns what should be kept as the previous value, and the changed function
+     * returns true if the current value differs from that snapshot.
+     */
+    let EVALUATE_COMPARISONS = {
+        // Reference equality.  This is the default.
+        reference: {
+            snapshot: _.identity,
+            changed: function (previousValue, currentValue) {
+                return previousValue !== currentValue;
+            }
+        },
+        // Equality of primitive values, like $watch.  NaN equals NaN, and objects such as Dates
+        // are compared by their primitive value (from valueOf).
+        value: {
+            snapshot: function (value) {
+                return _.isObject(value) ? value.valueOf() : value;
+            },
+            changed: function (previousValue, currentValue) {
+                currentValue = _.isObject(currentValue) ? currentValue.valueOf() : currentValue;
+                return (previousValue !== currentValue) && !(_.isNaN(previousValue) && _.isNaN(currentValue));
+            }
+        },
+        // Shallow equality of arrays and objects, like $watchCollection.
+        collection: {
+            snapshot: function (value) {
+                return _.isObject(value) ? _.clone(value) : value;
+            },
+            changed: function (previousValue, currentValue) {
+                return !areShallowEqual(previousValue, currentValue);
+            }
+        },
+        // Deep equality, like $watch with objectEquality set.
+        deep: {
+            snapshot: function (value) {
+                return copy(value);
+            },
+            changed: function (previousValue, currentValue) {
+                return !areEqual(previousValue, currentValue);
+            }
+        }
+    };
+
+    /**
+     * The built-in ways of determining whether an element is visible for preventEvaluationWhenHidden,
+     * keyed by the name passed to slyVisibilityProvider.setStrategy.  Each takes the (jqLite or
+     * jQuery) element and returns true if it is visible.
+     */
+    let VISIBILITY_STRATEGIES = {
+        // Visible unless the element or one of its ancestors has the ng-hide class.  This does not
+        // read the layout, but does not notice elements hidden by other means.
+        ngHide: function (element) {
+            for (let node = element[0]; node && (node.nodeType === 1); node = node.parentNode) {
+                if (node.classList.contains('ng-hide')) {
+                    return false;
+                }
+            }
+            return true;
+        },
+        // Visible if the element takes up space in the layout.  This is the same test as jQuery's
+        // ':visible', but works with jqLite.  This is the default.
+        layout: function (element) {
+            let node = element[0];
+            return !!(node.offsetParent || node.offsetWidth || node.offsetHeight || node.getClientRects().length);
+        },
+        // jQuery's ':visible' selector.  Requires jQuery to be loaded before Angular.
+        jquery: function (element) {
+            return element.is(':visible');
+        }
+    };
+
+    /**
+     * The names of the directives that decide whether the content they control is shown, and so
+     * must keep evaluating while preventEvaluationWhenHidden (or slyDeferLink) considers it hidden.
+     * They pass their name to $watch so that their watchers can be exempted from those gates.
+     * slyShow and slyHide also report when they hide their element (see VISIBILITY_STATE_KEY).
+     */
+    let VISIBILITY_DIRECTIVES = ['slyShow', 'slyHide', 'slyIf', 'slySwitch'];
+
+    /**
+     * The key of the element data holding the visibility state reported by slyShow or slyHide.
+     * The state is an object whose 'shown' property is false while the directive is hiding the
+     * element.
+     */
+    let VISIBILITY_STATE_KEY = '$slyVisibilityState';
+
+    /**
+     * @param {*} value The input
+     * @return {Boolean} True if the value is truthy as determined by angular rules.
+     *
+     * Note:  This is copied from the Angular source because it is not exposed by Angular
+     * but we want our directives to behave the same as ngShow.  Think about moving this
+     * to core.js.
+     */
+    function toBoolean(value) {
+        if (value && value.length !== 0) {
+            let v = ('' + value);
+            v = _.isString(v) ? v.toLowerCase() : v;
+            value = !(v === 'f' || v === '0' || v === 'false' || v === 'no' || v === 'n' || v === '[]');
+        } else {
+            value = false;
+        }
+        return value;
+    }
+
+    /**
+     * Shows or hides the element of slyShow or slyHide with the ng-hide class, and updates the
+     * visibility state it reports.
+     *
+     * Since Angular 1.3, $animate only changes the class after the digest, so gates under the
+     * element that check whether it is visible would not see it shown until some later digest.
+     * When the element is shown, another digest is therefore requested once the class is gone.
+     *
+     * @param {Object} scope The scope of the directive
+     * @param {Object} element The element
+     * @param {Object} state The visibility state reported for the element
+     * @param {Boolean} shown True if the element should be shown
+     * @param {Object} $animate The $animate service
+     */
+    function setVisibilityState(scope, element, state, shown, $animate) {
+        let wasShown = state.shown;
+        state.shown = shown;
+        $animate[shown ? 'removeClass' : 'addClass'](element, 'ng-hide');
+        if (shown && !wasShown) {
+            scope.$$postDigest(function () {
+                scope.$evalAsync(_.noop);
+            });
+        }
+    }
+
+    /**
+     * Returns the visibility states reported by slyShow and slyHide for the given element and
+     * its ancestors.
+     *
+     * @param {Object} element The element
+     * @returns {Array} The state objects, nearest first
+     */
+    function findVisibilityStates(element) {
+        let states = [];
+        for (let node = element[0]; node && (node.nodeType === 1); node = node.parentNode) {
+            let state = angular.element(node).data(VISIBILITY_STATE_KEY);
+            if (state) {
+                states.push(state);
+            }
+        }
+        return states;
+    }
+
+    /**
+     * Returns true if the element is visible.  An element that one of the visibility states reported
+     * for it and its ancestors says is hidden is known to be hidden without asking slyVisibility.
+     * Otherwise, it may still be hidden by other means (such as an ngShow), so slyVisibility decides.
+     * The reported states are looked up once the element is on the page, and cached on the scope
+     * itself rather than inherited from an ancestor's.
+     *
+     * @param {Object} scope The scope of the directive on the element
+     * @param {Object} element The element
+     * @param {Object} slyVisibility The slyVisibility service
+     * @returns {Boolean} True if the element is visible
+     */
+    function isElementVisible(scope, element, slyVisibility) {
+        if (!hasProperty(scope, '$$_visibilityStates')) {
+            let node = element[0];
+            if (!node.ownerDocument.documentElement.contains(node)) {
+                return slyVisibility.isVisible(element);
+            }
+            scope.$$_visibilityStates = findVisibilityStates(element);
+        }
+        return _.every(scope.$$_visibilityStates, 'shown') && slyVisibility.isVisible(element);
+    }
+
+    /**
+     * @param {Function} gatingFunction A gating function registered by $addWatcherGate, or null
+     * @returns {Boolean} True if the gate and all of the gates enclosing it were open the last time
+     *   they were checked
+     */
+    function areGatesOpen(gatingFunction) {
+        for (let gate = gatingFunction; !_.isNull(gate); gate = gate.enclosingGatingFunction) {
+            if (!gate.controller.isOpen()) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Returns the definition of slyEvaluateOnlyWhen or one of its variants.
+     *
+     * @param {String} attributeName The name of the directive, whose attribute holds the expression
+     * @param {Boolean} requireAll If true, the gate only opens once every element of an array
+     *   literal expression has changed, instead of any of them
+     * @returns {Array} The directive's factory, with its dependencies
+     */
+    function createEvaluateOnlyWhenDirective(attributeName, requireAll) {
+        return ['$parse', 'slyGateExemptions', function ($parse, slyGateExemptions) {
+            return {
+                // We create a new scope just because it helps segment the gated watchers
+                // from the parent scope.  Unclear if this is that important for perf.
+                scope: true,
+                restrict: 'A',
+                compile: function compile(tElement, tAttrs) {
+                    return {
+                        // We need a separate pre-link function because we want to modify the scope before any of the
+                        // children are passed it.
+                        pre: function preLink(scope, element, attrs) {
+                            // The snapshots of the values of the expressions, and whether each has changed since the
+                            // gate was last opened.
+                            let previousValues = null;
+                            let hasChanged = null;
+
+                            let expression = attrs[attributeName];
+                            let expressionToCheck = $parse(expression);
+                            // An array literal is a list of expressions to compare separately.  Anything else is a
+                            // single expression.
+                            let isList = expressionToCheck.literal && (_.trim(expression).charAt(0) === '[');
+                            let comparison = EVALUATE_COMPARISONS.reference;
+                            if (hasProperty(attrs, 'slyEvaluateComparison')) {
+                                if (!hasProperty(EVALUATE_COMPARISONS, attrs['slyEvaluateComparison'])) {
+                                    throw new Error("Unknown value '" + attrs['slyEvaluateComparison'] +
+                                        "' for slyEvaluateComparison.  Must be one of: " +
+                                        _.keys(EVALUATE_COMPARISONS).join(', '));
+                                }
+                                comparison = EVALUATE_COMPARISONS[attrs['slyEvaluateComparison']];
+                            }
+                            let isExempt = null;
+                            if (hasProperty(attrs, 'slyAlwaysEvaluate')) {
+                                isExempt = createWatcherExemption(attrs['slyAlwaysEvaluate'], 'slyAlwaysEvaluate', scope);
+                            }
+                            scope.$addWatcherGate(function evaluteOnlyWhenChecker() {
+                                // We should only return true if expressionToCheck evaluates to a value different
+                                // than previousValue (or, for a list, if any or all of them are different).
+                                let currentValues = isList ? expressionToCheck(scope) : [expressionToCheck(scope)];
+                                if (_.isNull(previousValues)) {
+                                    previousValues = _.map(currentValues, comparison.snapshot);
+                                    hasChanged = _.map(currentValues, _.constant(false));
+                                    return true;
+                                }
+                                let anyChanged = false;
+                                _.forEach(currentValues, function (currentValue, i) {
+                                    if (comparison.changed(previousValues[i], currentValue)) {
+                                        previousValues[i] = comparison.snapshot(currentValue);
+                                        hasChanged[i] = true;
+                                        anyChanged = true;
+                                    }
+                                });
+                                let result = requireAll ? _.every(hasChanged) : anyChanged;
+                                if (result) {
+                                    hasChanged = _.map(hasChanged, _.constant(false));
+                                }
+                                return result;
+                            }, createShouldGateWatcher(slyGateExemptions, 'onlyWhen', isExempt),
+                                true /* Evaluate any newly added watchers when they are added */,
+                                {kind: 'onlyWhen', directive: attributeName, element: element});
+                        }
+                    };
+                }
+            };
+        }];
+    }
+
     /**
      * @fileoverview
      * Module: slyEvaluate
@@ -122,88 +531,156 @@
      *  slyEvaluateOnlyWhen:  A directive that prevents updating / evaluating
      *      all bindings for the current element and its children unless
      *      the expression has changed values.  If new children are added, they
-     *      are always evaluated at least once.  It currently assumes the
-     *      expression evaluates to an object and detects changes only by
-     *      a change in object reference.
+     *      are always evaluated at least once.  By default, it detects changes
+     *      only by a change in object reference, but the slyEvaluateComparison
+     *      attribute can select value, collection or deep comparison instead.
+     *      The expression may be an array literal of several expressions, any
+     *      of which changing causes an evaluation.
+     *
+     *  slyEvaluateOnlyWhenAll:  The same as slyEvaluateOnlyWhen, but for an
+     *      array literal, only evaluates once all of the expressions have changed.
+     *
+     *  slyEvaluateAtMostEvery:  A directive that prevents updating / evaluating
+     *      all bindings for the current element and its children more than
+     *      once every given number of milliseconds, with a follow-up digest
+     *      so the last change is not lost.  The slyEvaluateDebounce attribute
+     *      waits for digests to stop for that long instead.
+     *
+     *  slyEvaluateOn:  A directive that prevents updating / evaluating all
+     *      bindings for the current element and its children until one of
+     *      the named scope events reaches the current scope, after which
+     *      they are evaluated for one digest.
+     *
+     *  slyEvaluateWhenIdle:  A directive that prevents updating / evaluating
+     *      all bindings for the current element and its children during
+     *      digests, and instead evaluates them once the browser is idle.
      *
      *  slyAlwaysEvaluate: Can only be used in conjunction with the
-     *      slyEvaluateOnlyWhen directive.  This directive will ensure that
+     *      slyEvaluateOnlyWhen, slyEvaluateAtMostEvery, slyEvaluateOn or
+     *      slyEvaluateWhenIdle directives.  This directive will ensure that
      *      any expression that is being watched will always be evaluated
      *      if it contains the specified string (i.e., it will ignore whether
      *      or not the slyEvaluateOnlyWhen expression has changed.)  This
      *      is useful when you wish to check some expressions all the time.
+     *      A list of substrings, regular expressions and directive names
+     *      may also be given, such as "list:['total', '/^user\\./', 'directive:slyShow']".
      *
      *  slyPreventEvaluationWhenHidden:  Will only evaluate the bindings
      *      for the current element and its children if the current element
-     *      is not hidden (detected by the element having the ng-hide CSS class.)
+     *      is not hidden.  How hidden elements are detected (by layout, the
+     *      ng-hide CSS class, jQuery's ':visible' or a custom function) can
+     *      be configured with slyVisibilityProvider.
+     *
+     *  slyDeferLink:  Will only link the contents of the current element once
+     *      it is first visible, and from then on only evaluate their bindings
+     *      while it is visible.  Optionally unlinks them again after the
+     *      element has been hidden for a while.
+     *
+     *  slyEvaluateWhenInViewport:  Will only evaluate the bindings for the
+     *      current element and its children while the current element is
+     *      scrolled into view of the browser viewport or a scrolling container.
      *
      *  slyShow:  Will hide the element if the expression evaluates to false.
      *      Uses ng-hide to hide the element.  This is almost exactly the same
      *      as ngShow, but it has the advantage that it works better with
      *      slyPreventEvaluationWhenHidden by guaranteeing it will always evaluate
-     *      its show expression to determine if it should or should not be hidden.
+     *      its show expression to determine if it should or should not be hidden,
+     *      and by telling slyPreventEvaluationWhenHidden when it is hidden, so that
+     *      checking visibility is skipped while it is.
+     *
+     *  slyHide, slyIf, slySwitch:  The same as ngHide, ngIf and ngSwitch (with
+     *      slySwitchWhen and slySwitchDefault), but always evaluate their
+     *      expressions the same way slyShow does.  slyHide also tells
+     *      slyPreventEvaluationWhenHidden when it is hidden.
      */
     defineScalyrAngularModule('slyEvaluate', ['gatedScope'])
+        .config(['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+            // The directives deciding whether an element is visible must keep working while it is hidden.
+            slyGateExemptionsProvider.exemptDirective(VISIBILITY_DIRECTIVES, ['hidden', 'deferLink']);
+        }])
         /**
-         * Directive for preventing all bound expressions in the current element and its children
-         * from being evaluated unless the specified expression evaluates to a different object.
-         * Currently, the value assigned to the 'slyEvaluateOnlyWhen' must evaluate to an object.
-         * Also, reference equality is used to determine if the expression has changed.
-         * TODO: Make this more versatile, similar to $watch.  For now, this is all we need.
+         * Provider for the slyVisibility service, which preventEvaluationWhenHidden uses to determine
+         * whether its element is visible.  The strategy may be set during configuration to the name
+         * of one of the VISIBILITY_STRATEGIES ('ngHide', 'layout' or 'jquery') or to a function
+         * taking the element and returning true if it is visible.  For example:
+         *
+         *  module.config(['slyVisibilityProvider', function (slyVisibilityProvider) {
+         *      slyVisibilityProvider.setStrategy('ngHide');
+         *  }]);
          */
-        .directive('slyEvaluateOnlyWhen', ['$parse', function ($parse) {
-            return {
-                // We create a new scope just because it helps segment the gated watchers
-                // from the parent scope.  Unclear if this is that important for perf.
-                scope: true,
-                restrict: 'A',
-                compile: function compile(tElement, tAttrs) {
-                    return {
-                        // We need a separate pre-link function because we want to modify the scope before any of the
-                        // children are passed it.
-                        pre: function preLink(scope, element, attrs) {
-                            let previousValue = null;
-                            let initialized = false;
+        .provider('slyVisibility', function () {
+            let strategyName = 'layout';
+            let isVisible = VISIBILITY_STRATEGIES.layout;
 
-                            let expressionToCheck = $parse(attrs['slyEvaluateOnlyWhen']);
-                            let alwaysEvaluateString = null;
-                            if (hasProperty(attrs, 'slyAlwaysEvaluate')) {
-                                alwaysEvaluateString = attrs['slyAlwaysEvaluate'];
-                                if (isStringEmpty(alwaysEvaluateString)) {
-                                    throw new Error('Empty string is illegal for value of slyAlwaysEvaluate');
-                                }
-                            }
-                            scope.$addWatcherGate(function evaluteOnlyWhenChecker() {
-                                // We should only return true if expressionToCheck evaluates to a value different
-                                // than previousValue.
-                                let currentValue = expressionToCheck(scope);
-                                if (!initialized) {
-                                    initialized = true;
-                                    previousValue = currentValue;
-                                    return true;
-                                }
-                                let result = previousValue !== currentValue;
-                                previousValue = currentValue;
-                                return result;
-                            }, function shouldGateWatcher(watchExpression) {
-                                // Should return true if the given watcher that's about to be registered should
-                                // be gated.
-                                return _.isNull(alwaysEvaluateString) ||
-                                    !(isStringNonempty(watchExpression) && (watchExpression.indexOf(alwaysEvaluateString) >= 0));
-                            }, true /* Evaluate any newly added watchers when they are added */);
-                        }
-                    };
+            /**
+             * @param {String|Function} strategy The name of a built-in strategy, or a function
+             *   taking the element and returning true if it is visible
+             */
+            this.setStrategy = function (strategy) {
+                if (_.isFunction(strategy)) {
+                    strategyName = 'custom';
+                    isVisible = strategy;
+                    return;
+                }
+                if (!hasProperty(VISIBILITY_STRATEGIES, strategy)) {
+                    throw new Error("Unknown visibility strategy '" + strategy + "'.  Must be a function or one of: " +
+                        _.keys(VISIBILITY_STRATEGIES).join(', '));
+                }
+                if ((strategy === 'jquery') && !_.isFunction(angular.element.prototype.is)) {
+                    throw new Error("The 'jquery' visibility strategy requires jQuery to be loaded before Angular");
                 }
+                strategyName = strategy;
+                isVisible = VISIBILITY_STRATEGIES[strategy];
             };
-        }])
+
+            this.$get = function () {
+                return {
+                    /**
+                     * @returns {String} The name of the strategy in use, or 'custom' for a function
+                     */
+                    strategy: function () {
+                        return strategyName;
+                    },
+                    /**
+                     * @param {Object} element The (jqLite or jQuery) element to check
+                     * @returns {Boolean} True if the element is visible according to the strategy
+                     */
+                    isVisible: function (element) {
+                        return !!isVisible(element);
+                    }
+                };
+            };
+        })
+        /**
+         * Directive for preventing all bound expressions in the current element and its children
+         * from being evaluated unless the specified expression evaluates to a different value.
+         * By default, reference equality is used to determine if the expression has changed.
+         * The 'slyEvaluateComparison' attribute may be set to 'value', 'collection' or 'deep' to
+         * instead compare the value the way $watch, $watchCollection or $watch with objectEquality
+         * would (see EVALUATE_COMPARISONS).
+         *
+         * The expression may also be an array literal, such as '[query, timeRange]', in which case
+         * each of its elements is compared separately, and the bound expressions are evaluated
+         * when any of them changes.  Note, array literals used to be compared as a single value
+         * (which, by reference, meant on every digest).
+         */
+        .directive('slyEvaluateOnlyWhen', createEvaluateOnlyWhenDirective('slyEvaluateOnlyWhen', false))
+        /**
+         * The same as slyEvaluateOnlyWhen, except that when given an array literal, the bound
+         * expressions are only evaluated once all of its elements have changed since they were last
+         * evaluated.
+         */
+        .directive('slyEvaluateOnlyWhenAll', createEvaluateOnlyWhenDirective('slyEvaluateOnlyWhenAll', true))
         /**
-         * Directive for overriding the 'slyEvaluateOnlyWhen' expression for the current element.
-         * This directive takes a single string value.  If this string value is found anywhere in
-         * an expression that normally would not be evaluated due to the 'slyEvaluateOnlyWhen'
-         * directive, it is evaluated, regardless of whether or not the value for the expression in
-         * 'slyEvaluateOnlyWhen' has changed.  This is very useful when a certain expression used by
-         * one of the children of the current element should always be evaluated and is not affected
-         * by the expression specified in slyEvaluateOnlyWhen.
+         * Directive for overriding the 'slyEvaluateOnlyWhen' (or 'slyEvaluateAtMostEvery',
+         * 'slyEvaluateOn' or 'slyEvaluateWhenIdle') expression for the current element.
+         * If this directive's string value is found anywhere in an expression that normally would
+         * not be evaluated due to the 'slyEvaluateOnlyWhen' directive, it is evaluated, regardless
+         * of whether or not the value for the expression in 'slyEvaluateOnlyWhen' has changed.
+         * This is very useful when a certain expression used by one of the children of the current
+         * element should always be evaluated and is not affected by the expression specified in
+         * slyEvaluateOnlyWhen.  The value may also be a list of substrings, regular expressions
+         * and directive names (see createWatcherExemption).
          */
         .directive('slyAlwaysEvaluate', function () {
             // This is just a place holder to show that slyAlwaysEvaluate is a legal
@@ -215,594 +692,3608 @@
             };
         })
         /**
-         * Directive for showing an element, very similar to ngShow.  However, this directive
-         * works better with slyPreventEvaluationWhenHidden because it is ensure it always
-         * will evaluate the show expression to determine if it should be shown or hidden
-         * even if slyPreventEvaluationWhenHidden is in effect.  This directive also uses
-         * the ng-hide css class to actually hide the element.
+         * Directive for preventing all bound expressions in the current element and its children
+         * from being evaluated more than once every given number of milliseconds.  When a digest
+         * happens too soon after the last evaluation, a follow-up digest is scheduled for when the
+         * interval has passed, so the contents always end up reflecting the latest changes.
          *
-         * NOTE: We might be able to get better performance if we have this directive directly
-         * perform a callback on slyPreventEvaluationWhenHidden when it is shown/hidden rather
-         * than having that directive register a watcher on the css class.
+         * If the 'sly-evaluate-debounce' attribute is present, the contents are instead only
+         * evaluated once no digests have happened for the interval (trailing-edge debounce).
+         * slyAlwaysEvaluate may be used to exempt some expressions, as with slyEvaluateOnlyWhen.
          */
-        .directive('slyShow', ['$animate', function ($animate) {
-            /**
-             * @param {*} value The input
-             * @return {Boolean} True if the value is truthy as determined by angular rules.
-             *
-             * Note:  This is copied from the Angular source because it is not exposed by Angular
-             * but we want our directive to behave the same as ngShow.  Think about moving this
-             * to core.js.
-             */
-            function toBoolean(value) {
-                if (value && value.length !== 0) {
-                    let v = ('' + value);
-                    v = _.isString(v) ? v.toLowerCase() : v;
-                    value = !(v === 'f' || v === '0' || v === 'false' || v === 'no' || v === 'n' || v === '[]');
-                } else {
-                    value = false;
-                }
-                return value;
-            }
-
+        .directive('slyEvaluateAtMostEvery', ['$timeout', 'slyGateExemptions', function ($timeout, slyGateExemptions) {
             return {
+                // See slyEvaluateOnlyWhen.
+                scope: true,
                 restrict: 'A',
-                link: function slyShowLink(scope, element, attr) {
-                    scope.$watch(attr.slyShow, function ngSlyShowAction(value) {
-                        $animate[toBoolean(value) ? 'removeClass' : 'addClass'](element, 'ng-hide');
-                    }, false, 'slyShow');
+                compile: function compile(tElement, tAttrs) {
+                    return {
+                        pre: function preLink(scope, element, attrs) {
+                            let interval = parseInt(attrs['slyEvaluateAtMostEvery'], 10);
+                            if (!(interval > 0)) {
+                                throw new Error("The value of slyEvaluateAtMostEvery must be a positive number of " +
+                                    "milliseconds: '" + attrs['slyEvaluateAtMostEvery'] + "'");
+                            }
+                            let debounce = hasProperty(attrs, 'slyEvaluateDebounce');
+                            let isExempt = null;
+                            if (hasProperty(attrs, 'slyAlwaysEvaluate')) {
+                                isExempt = createWatcherExemption(attrs['slyAlwaysEvaluate'], 'slyAlwaysEvaluate', scope);
+                            }
+
+                            // The time the gate was last opened, or null if it never has been.
+                            let lastOpened = null;
+                            // True while the gate is open for the rest of the current digest.
+                            let isOpen = false;
+                            // True when the follow-up digest has been reached and the gate should open.
+                            let isDue = false;
+                            let followUp = null;
+
+                            function scheduleFollowUp(delay) {
+                                if (!_.isNull(followUp)) {
+                                    if (!debounce) {
+                                        return;
+                                    }
+                                    $timeout.cancel(followUp);
+                                }
+                                followUp = $timeout(function () {
+                                    followUp = null;
+                                    isDue = true;
+                                }, delay);
+                            }
+
+                            scope.$addWatcherGate(function atMostEveryChecker() {
+                                if (isOpen) {
+                                    return true;
+                                }
+                                let currentTime = Date.now();
+                                let shouldOpen = _.isNull(lastOpened) || isDue ||
+                                    (!debounce && (currentTime - lastOpened >= interval));
+                                if (!shouldOpen) {
+                                    scheduleFollowUp(debounce ? interval : interval - (currentTime - lastOpened));
+                                    return false;
+                                }
+                                // Keep the gate open until the digest completes, since a digest may check it
+                                // several times.
+                                isOpen = true;
+                                isDue = false;
+                                lastOpened = currentTime;
+                                scope.$$postDigest(function () {
+                                    isOpen = false;
+                                });
+                                return true;
+                            }, createShouldGateWatcher(slyGateExemptions, 'atMostEvery', isExempt),
+                                true /* Evaluate any newly added watchers when they are added */,
+                                {kind: 'atMostEvery', directive: 'slyEvaluateAtMostEvery', element: element});
+
+                            scope.$on('$destroy', function () {
+                                if (!_.isNull(followUp)) {
+                                    $timeout.cancel(followUp);
+                                    followUp = null;
+                                }
+                            });
+                        }
+                    };
                 }
             };
         }])
         /**
          * Directive for preventing all bound expressions in the current element and its children
-         * from being evaluated if the current element is hidden as determined by whether or not
-         * it has the ng-hide class.
+         * from being evaluated until one of the scope events named in its value (separated by
+         * whitespace) reaches the current scope, whether by $broadcast on an ancestor or $emit on a
+         * descendant.  The contents are then evaluated for one digest (triggering one if needed).
+         * The contents are also evaluated on the first digest.
+         *
+         * If this is nested under another gate that is closed when the event arrives, the contents
+         * are evaluated once the enclosing gate opens, so the event is not lost.  slyAlwaysEvaluate
+         * may be used to exempt some expressions, as with slyEvaluateOnlyWhen.
          */
-        .directive('preventEvaluationWhenHidden', function () {
+        .directive('slyEvaluateOn', ['slyGateExemptions', function (slyGateExemptions) {
             return {
-                restrict: 'A',
-                // We create a new scope just because it helps segment the gated watchers
-                // from the parent scope.  Unclear if this is that important for perf.
+                // See slyEvaluateOnlyWhen.
                 scope: true,
+                restrict: 'A',
                 compile: function compile(tElement, tAttrs) {
                     return {
-                        // We need a separate pre-link function because we want to modify the scope before any of the
-                        // children are passed it.
                         pre: function preLink(scope, element, attrs) {
-                            scope.$addWatcherGate(function hiddenChecker() {
-                                let _isCompiled = !!scope.$$_hasFirstPreventEvaluationWhenHiddenCompilation;
-                                scope.$$_hasFirstPreventEvaluationWhenHiddenCompilation = true;
-                                // Should only return true if the element is not hidden.
-                                return element.is(':visible') || !_isCompiled;
-                            }, function hiddenDecider(watchExpression, listener, equality, directiveName) {
-                                // Make an exception for slyShow.. do not gate its watcher.
-                                return !(!_.isUndefined(directiveName) && (directiveName === 'slyShow'));
+                            let eventNames = _.compact((attrs['slyEvaluateOn'] || '').split(/\s+/));
+                            if (eventNames.length === 0) {
+                                throw new Error('Empty string is illegal for value of slyEvaluateOn');
+                            }
+                            let isExempt = null;
+                            if (hasProperty(attrs, 'slyAlwaysEvaluate')) {
+                                isExempt = createWatcherExemption(attrs['slyAlwaysEvaluate'], 'slyAlwaysEvaluate', scope);
+                            }
+
+                            // True until the contents have been evaluated for the latest event.
+                            let isDue = true;
+                            // True while the gate is open for the rest of the current digest.
+                            let isOpen = false;
+
+                            scope.$addWatcherGate(function evaluateOnChecker() {
+                                if (isOpen) {
+                                    return true;
+                                }
+                                if (!isDue) {
+                                    return false;
+                                }
+                                // Keep the gate open until the digest completes, since a digest may check it
+                                // several times.
+                                isOpen = true;
+                                isDue = false;
+                                scope.$$postDigest(function () {
+                                    isOpen = false;
+                                });
+                                return true;
+                            }, createShouldGateWatcher(slyGateExemptions, 'on', isExempt),
+                                true /* Evaluate any newly added watchers when they are added */,
+                                {kind: 'on', directive: 'slyEvaluateOn', element: element});
+
+                            _.forEach(eventNames, function (eventName) {
+                                scope.$on(eventName, function () {
+                                    isDue = true;
+                                    // Makes sure there is a digest to evaluate the contents in.
+                                    scope.$evalAsync(_.noop);
+                                });
                             });
                         }
                     };
                 }
             };
-        });
+        }])
+        /**
+         * Directive for preventing all bound expressions in the current element and its children
+         * from being evaluated during normal digests.  Instead, whenever a digest happens, they
+         * are evaluated later, when the browser is idle (using requestIdleCallback, or a timeout
+         * where it is not supported).  The attribute's value may give the maximum number of
+         * milliseconds to wait for the browser to be idle (defaulting to DEFAULT_MAX_DELAY).
+         *
+         * The regions of all the instances share idle time, so that each idle period evaluates
+         * as many regions as fit in it.  Each region is evaluated in a digest of its own, so that the
+         * work deferred to the end of a digest (such as the class changes of $animate) is done right
+         * away.  Note, the contents are not evaluated until the first idle period, and the digests
+         * evaluating regions do not schedule the regions again.  slyAlwaysEvaluate may be used to
+         * exempt some expressions, as with slyEvaluateOnlyWhen.
+         */
+        .directive('slyEvaluateWhenIdle', ['$window', '$rootScope', '$exceptionHandler', 'slyGateExemptions',
+            function ($window, $rootScope, $exceptionHandler, slyGateExemptions) {
+            // The default maximum number of milliseconds to wait for the browser to be idle.
+            let DEFAULT_MAX_DELAY = 1000;
+            // The number of milliseconds to spend evaluating regions when falling back to a timeout.
+            let FALLBACK_BUDGET = 8;
 
-    /**
-     * @fileoverview
-     * Module:  slyRepeat
-     *
-     * Contains the slyRepeat directive, which is is a modified version of the
-     * ngRepeat directive that is meant to be more efficient for creating and
-     * recreating large lists of bound elements.  In particular, it has an
-     * optimization that will prevent DOM elements from being constantly created
-     * and destroyed as the contents of the repeated elements change.  It does this
-     * by not destroying DOM elements when they are no longer needed, but instead,
-     * just hiding them. This might not work for all use cases, but for it does
-     * for the ones we do wish to heavily optimize.  For eample, through profiling,
-     * we found that destroying DOM elements when flipping through log view pages
-     * represented a large chunk of CPU time.
-     *
-     * Cavaets:  The collection expression must evaluate to an array.  Animators
-     *   will not work.  Track By does not work.  Use at your own peril.
-     *
-     * @author Steven Czerwinski <czerwin@scalyr.com>
-     */
-    defineScalyrAngularModule('slyRepeat', ['gatedScope'])
-        .directive('slyRepeat', ['$animate', '$parse', function ($animate, $parse) {
+            // The regions waiting to be evaluated, in the order they were scheduled.
+            let pendingRegions = [];
+            let isScheduled = false;
+            // True during the digest evaluating a region.
+            let isEvaluatingIdle = false;
 
             /**
-             * Sets the scope contained in elementScope to gate all its
-             * watchers based on the isActiveForRepeat proprety.
+             * Invokes callback with an IdleDeadline-like object once the browser is idle.
              *
-             * @param {Object} elementScope The object containing the
-             *   scope and isActiveForRepeat properties.
+             * @param {Function} callback The callback
+             * @param {Number} maxDelay The maximum number of milliseconds to wait
              */
-            function gateWatchersForScope(elementScope) {
-                elementScope.scope.$addWatcherGate(function () {
-                    return elementScope.isActiveForRepeat;
-                });
+            function requestIdle(callback, maxDelay) {
+                if (_.isFunction($window.requestIdleCallback)) {
+                    $window.requestIdleCallback(callback, {timeout: maxDelay});
+                    return;
+                }
+                $window.setTimeout(function () {
+                    let start = Date.now();
+                    callback({
+                        didTimeout: false,
+                        timeRemaining: function () {
+                            return Math.max(0, FALLBACK_BUDGET - (Date.now() - start));
+                        }
+                    });
+                }, 0);
+            }
+
+            /**
+             * Evaluates pending regions until the idle period is over, and schedules another idle
+             * callback for any that are left.
+             *
+             * @param {Object} deadline The IdleDeadline for the idle period
+             */
+            function evaluatePendingRegions(deadline) {
+                isScheduled = false;
+                // Always evaluate at least one region so we make progress even if the browser is never idle.
+                // Regions that were destroyed since they were scheduled do not count.
+                let hasEvaluated = false;
+                while ((pendingRegions.length > 0) && (!hasEvaluated || (deadline.timeRemaining() > 0))) {
+                    let region = pendingRegions.shift();
+                    region.isPending = false;
+                    hasEvaluated = region.evaluate() || hasEvaluated;
+                }
+                scheduleRegions();
+            }
+
+            function scheduleRegions() {
+                if (!isScheduled && (pendingRegions.length > 0)) {
+                    isScheduled = true;
+                    requestIdle(evaluatePendingRegions, _.min(_.map(pendingRegions, 'maxDelay')));
+                }
             }
 
             return {
-                restrict: 'A',
+                // See slyEvaluateOnlyWhen.
                 scope: true,
+                restrict: 'A',
+                compile: function compile(tElement, tAttrs) {
+                    return {
+                        pre: function preLink(scope, element, attrs) {
+                            let maxDelay = DEFAULT_MAX_DELAY;
+                            if (isStringNonempty(attrs['slyEvaluateWhenIdle'])) {
+                                maxDelay = parseInt(attrs['slyEvaluateWhenIdle'], 10);
+                                if (!(maxDelay >= 0)) {
+                                    throw new Error("The value of slyEvaluateWhenIdle must be a number of milliseconds: '" +
+                                        attrs['slyEvaluateWhenIdle'] + "'");
+                                }
+                            }
+                            let isExempt = null;
+                            if (hasProperty(attrs, 'slyAlwaysEvaluate')) {
+                                isExempt = createWatcherExemption(attrs['slyAlwaysEvaluate'], 'slyAlwaysEvaluate', scope);
+                            }
+
+                            // The gating function of the gates enclosing the one registered below.
+                            let enclosingGate = scope.$$gatingFunction;
+                            let region = {
+                                maxDelay: maxDelay,
+                                isPending: false,
+                                // True while the region's gate is open during the digest evaluating it.
+                                isEvaluating: false,
+                                // Returns true if the region was evaluated, which it is not if its scope has
+                                // been destroyed since it was scheduled.
+                                evaluate: function () {
+                                    if (scope.$$destroyed) {
+                                        return false;
+                                    }
+                                    isEvaluatingIdle = true;
+                                    region.isEvaluating = true;
+                                    try {
+                                        $rootScope.$digest();
+                                    } catch (e) {
+                                        $exceptionHandler(e);
+                                    } finally {
+                                        isEvaluatingIdle = false;
+                                        region.isEvaluating = false;
+                                    }
+                                    return true;
+                                }
+                            };
+
+                            scope.$addWatcherGate(function whenIdleChecker() {
+                                // The gate is never open during a digest, but we use the digest as a cue to
+                                // evaluate the region once the browser is idle.  Since this is also checked
+                                // on every digest once the enclosing gates have opened, even while they are
+                                // closed again, we have to check them ourselves.
+                                if (isEvaluatingIdle) {
+                                    return region.isEvaluating;
+                                }
+                                if (!region.isPending && areGatesOpen(enclosingGate)) {
+                                    region.isPending = true;
+                                    pendingRegions.push(region);
+                                    scheduleRegions();
+                                }
+                                return false;
+                            }, createShouldGateWatcher(slyGateExemptions, 'idle', isExempt), false,
+                                {kind: 'idle', directive: 'slyEvaluateWhenIdle', element: element});
+
+                            scope.$on('$destroy', function () {
+                                _.pull(pendingRegions, region);
+                            });
+                        }
+                    };
+                }
+            };
+        }])
+        /**
+         * Directive for showing an element, very similar to ngShow.  However, this directive
+         * works better with slyPreventEvaluationWhenHidden because it is ensure it always
+         * will evaluate the show expression to determine if it should be shown or hidden
+         * even if slyPreventEvaluationWhenHidden is in effect.  This directive also uses
+         * the ng-hide css class to actually hide the element.  It reports when it shows or
+         * hides the element to slyPreventEvaluationWhenHidden (see VISIBILITY_STATE_KEY), so
+         * gates on or under the element do not have to check whether they are visible while
+         * it is hidden.
+         */
+        .directive('slyShow', ['$animate', function ($animate) {
+            return {
+                restrict: 'A',
+                link: function slyShowLink(scope, element, attr) {
+                    let state = {shown: true};
+                    element.data(VISIBILITY_STATE_KEY, state);
+                    scope.$watch(attr.slyShow, function ngSlyShowAction(value) {
+                        setVisibilityState(scope, element, state, toBoolean(value), $animate);
+                    }, false, 'slyShow');
+                }
+            };
+        }])
+        /**
+         * Directive for hiding an element, very similar to ngHide.  This is the inverse of slyShow,
+         * and works with slyPreventEvaluationWhenHidden in the same way.
+         */
+        .directive('slyHide', ['$animate', function ($animate) {
+            return {
+                restrict: 'A',
+                link: function slyHideLink(scope, element, attr) {
+                    let state = {shown: true};
+                    element.data(VISIBILITY_STATE_KEY, state);
+                    scope.$watch(attr.slyHide, function ngSlyHideAction(value) {
+                        setVisibilityState(scope, element, state, !toBoolean(value), $animate);
+                    }, false, 'slyHide');
+                }
+            };
+        }])
+        /**
+         * Directive for adding or removing an element, very similar to ngIf.  Its expression is
+         * always evaluated, even if slyPreventEvaluationWhenHidden is in effect.
+         */
+        .directive('slyIf', ['$animate', function ($animate) {
+            return {
+                restrict: 'A',
                 transclude: 'element',
-                priority: 1000,
+                priority: 600,
                 terminal: true,
-                compile: function (element, attr, linker) {
-                    // Most of the work is done in the post-link function.
-                    return function ($scope, $element, $attr) {
-                        // This code is largely based on ngRepeat.
+                link: function slyIfLink(scope, element, attr, ctrl, $transclude) {
+                    let block = null;
+                    scope.$watch(attr.slyIf, function slyIfWatchAction(value) {
+                        if (toBoolean(value)) {
+                            if (_.isNull(block)) {
+                                $transclude(function (clone, newScope) {
+                                    block = {
+                                        clone: clone,
+                                        scope: newScope
+                                    };
+                                    $animate.enter(clone, element.parent(), element);
+                                });
+                            }
+                        } else if (!_.isNull(block)) {
+                            block.scope.$destroy();
+                            $animate.leave(block.clone);
+                            block = null;
+                        }
+                    }, false, 'slyIf');
+                }
+            };
+        }])
+        /**
+         * Directive for choosing which of several elements to add, very similar to ngSwitch.  The
+         * elements are marked with slySwitchWhen (with the value to match) and slySwitchDefault,
+         * which are used exactly like ngSwitchWhen and ngSwitchDefault.  Like slyIf, its expression
+         * is always evaluated.
+         */
+        .directive('slySwitch', ['$animate', function ($animate) {
+            return {
+                restrict: 'EA',
+                require: 'slySwitch',
+                controller: function SlySwitchController() {
+                    // The transclude functions and anchor elements of the cases, keyed by '!' followed
+                    // by the value to match, or '?' for the default cases.
+                    this.cases = {};
+                },
+                link: function slySwitchLink(scope, element, attr, slySwitchController) {
+                    let selectedBlocks = [];
+                    scope.$watch(attr.slySwitch || attr.on, function slySwitchWatchAction(value) {
+                        _.forEach(selectedBlocks, function (block) {
+                            block.scope.$destroy();
+                            $animate.leave(block.clone);
+                        });
+                        selectedBlocks = [];
+                        let selectedCases = slySwitchController.cases['!' + value] || slySwitchController.cases['?'];
+                        _.forEach(selectedCases, function (selectedCase) {
+                            selectedCase.transclude(function (clone, newScope) {
+                                selectedBlocks.push({
+                                    clone: clone,
+                                    scope: newScope
+                                });
+                                $animate.enter(clone, selectedCase.element.parent(), selectedCase.element);
+                            });
+                        });
+                    }, false, 'slySwitch');
+                }
+            };
+        }])
+        /**
+         * Marks an element to add when the enclosing slySwitch's expression matches this directive's
+         * value.  See slySwitch.
+         */
+        .directive('slySwitchWhen', function () {
+            return {
+                restrict: 'EA',
+                transclude: 'element',
+                priority: 1200,
+                require: '^slySwitch',
+                link: function (scope, element, attrs, slySwitchController, $transclude) {
+                    let key = '!' + attrs.slySwitchWhen;
+                    slySwitchController.cases[key] = slySwitchController.cases[key] || [];
+                    slySwitchController.cases[key].push({transclude: $transclude, element: element});
+                }
+            };
+        })
+        /**
+         * Marks an element to add when the enclosing slySwitch's expression matches none of its
+         * slySwitchWhen values.  See slySwitch.
+         */
+        .directive('slySwitchDefault', function () {
+            return {
+                restrict: 'EA',
+                transclude: 'element',
+                priority: 1200,
+                require: '^slySwitch',
+                link: function (scope, element, attrs, slySwitchController, $transclude) {
+                    slySwitchController.cases['?'] = slySwitchController.cases['?'] || [];
+                    slySwitchController.cases['?'].push({transclude: $transclude, element: element});
+                }
+            };
+        })
+        /**
+         * Directive for preventing all bound expressions in the current element and its children
+         * from being evaluated if the current element is hidden.  By default, an element is hidden
+         * if it takes up no space in the layout, but this may be changed with slyVisibilityProvider
+         * (for example, to only check for the ng-hide class).
+         *
+         * If the element or any of its ancestors is hidden by a slyShow or slyHide, the element is
+         * known to be hidden without checking its visibility, which is much cheaper.  Otherwise, the
+         * visibility is checked on each digest as usual.
+         */
+        .directive('preventEvaluationWhenHidden', ['slyVisibility', 'slyGateExemptions',
+            function (slyVisibility, slyGateExemptions) {
+            return {
+                restrict: 'A',
+                // We create a new scope just because it helps segment the gated watchers
+                // from the parent scope.  Unclear if this is that important for perf.
+                scope: true,
+                compile: function compile(tElement, tAttrs) {
+                    return {
+                        // We need a separate pre-link function because we want to modify the scope before any of the
+                        // children are passed it.
+                        pre: function preLink(scope, element, attrs) {
+                            // This makes an exception for the directives deciding visibility (registered below).
+                            scope.$addWatcherGate(function hiddenChecker() {
+                                let _isCompiled = !!scope.$$_hasFirstPreventEvaluationWhenHiddenCompilation;
+                                scope.$$_hasFirstPreventEvaluationWhenHiddenCompilation = true;
+                                // Should only return true if the element is not hidden.
+                                return !_isCompiled || isElementVisible(scope, element, slyVisibility);
+                            }, createShouldGateWatcher(slyGateExemptions, 'hidden', null), false,
+                                {kind: 'hidden', directive: 'preventEvaluationWhenHidden', element: element});
+                        }
+                    };
+                }
+            };
+        }])
+        /**
+         * Directive for deferring the linking of the current element's contents until the element
+         * is first visible, as determined the same way as for preventEvaluationWhenHidden.  Until
+         * then, the contents are not added to the page at all.  Once linked, the bound expressions
+         * in the contents are only evaluated while the element is visible, as with
+         * preventEvaluationWhenHidden.
+         *
+         * If the 'sly-defer-link-unlink-after' attribute gives a number of milliseconds, the contents
+         * are destroyed again once the element has been hidden for that long, and linked again the
+         * next time it is visible.
+         *
+         * Since Angular 1.3, ngShow and ngHide only change the ng-hide class after the digest.  So the
+         * element is first checked in a digest following the one it is linked in, and while the
+         * contents are not linked, the element is checked again after each digest, triggering another
+         * one if it has become visible.
+         */
+        .directive('slyDeferLink', ['$timeout', 'slyVisibility', 'slyGateExemptions',
+            function ($timeout, slyVisibility, slyGateExemptions) {
+            return {
+                restrict: 'A',
+                transclude: true,
+                // See preventEvaluationWhenHidden.
+                scope: true,
+                link: function slyDeferLinkLink(scope, element, attrs, ctrl, $transclude) {
+                    let unlinkAfter = null;
+                    if (hasProperty(attrs, 'slyDeferLinkUnlinkAfter')) {
+                        unlinkAfter = parseInt(attrs['slyDeferLinkUnlinkAfter'], 10);
+                        if (!(unlinkAfter >= 0)) {
+                            throw new Error("The value of slyDeferLinkUnlinkAfter must be a number of milliseconds: '" +
+                                attrs['slyDeferLinkUnlinkAfter'] + "'");
+                        }
+                    }
+                    // The linked contents and their scope, or null if they are not linked.
+                    let contents = null;
+                    let contentsScope = null;
+                    let pendingUnlink = null;
+                    // Whether a digest has completed since the element was linked, and whether a check of the
+                    // element's visibility is queued for after the current digest.
+                    let hasDigested = false;
+                    let isCheckQueued = false;
 
-                        // Parse the expression.  It should look like:
-                        // x in some-expression
-                        let expression = $attr.slyRepeat;
-                        let match = expression.match(/^\s*(.+)\s+in\s+(.*?)$/);
-                        if (!match) {
-                            throw Error("Expected slyRepeat in form of '_item_ in _collection_' but got '" +
-                                expression + "'.");
+                    function queueVisibilityCheck() {
+                        if (isCheckQueued) {
+                            return;
                         }
+                        isCheckQueued = true;
+                        scope.$$postDigest(function () {
+                            // Queued again, so that it runs after the class changes that $animate queued during
+                            // the digest.
+                            scope.$$postDigest(function () {
+                                isCheckQueued = false;
+                                hasDigested = true;
+                                if (!scope.$$destroyed && _.isNull(contents) &&
+                                    isElementVisible(scope, element, slyVisibility)) {
+                                    scope.$evalAsync(_.noop);
+                                }
+                            });
+                        });
+                    }
 
-                        let iterVar = match[1];
-                        let collectionExpr = match[2];
+                    function cancelUnlink() {
+                        if (!_.isNull(pendingUnlink)) {
+                            $timeout.cancel(pendingUnlink);
+                            pendingUnlink = null;
+                        }
+                    }
 
-                        match = iterVar.match(/^(?:([\$\w]+))$/);
-                        if (!match) {
-                            throw Error("'item' in 'item in collection' should be identifier but got '" +
-                                match + "'.");
+                    // This is registered before the gate is added below, so that it is not held back by it.
+                    scope.$watch(function () {
+                        let isVisible = hasDigested && isElementVisible(scope, element, slyVisibility);
+                        if (!isVisible && _.isNull(contents)) {
+                            queueVisibilityCheck();
+                        }
+                        return isVisible;
+                    }, function slyDeferLinkWatchAction(isVisible) {
+                        if (isVisible) {
+                            cancelUnlink();
+                            if (_.isNull(contents)) {
+                                // The contents are linked to a child of our scope so they are under the gate.
+                                contentsScope = scope.$new();
+                                $transclude(contentsScope, function (clone) {
+                                    contents = clone;
+                                    element.append(clone);
+                                });
+                            }
+                        } else if (!_.isNull(contents) && !_.isNull(unlinkAfter) && _.isNull(pendingUnlink)) {
+                            pendingUnlink = $timeout(function () {
+                                pendingUnlink = null;
+                                contentsScope.$destroy();
+                                contents.remove();
+                                contentsScope = null;
+                                contents = null;
+                            }, unlinkAfter);
                         }
+                    });
 
-                        // previousElements will store references to the already existing (DOM) elements
-                        // that were last used for the last rendering of this repeat and were visible.
-                        // We will re-use these elements when executing the next rendering of the repeat when
-                        // the iteration value changes.
-                        let previousElements = [];
-                        // previousElementsBuffer will store references to the already existing (DOM) elements
-                        // that are in the page but were not used for the last rendering of this repeat and were
-                        // therefore marked as inactive and not visible.  This happens if the length of the repeat
-                        // iteration goes down over time, since we do not remove the elements.  If the repeat length
-                        // was first 10, then 5, we will end up with the last 5 elements in the previousElementBuffer.
-                        // We keep this in case the length increases again.
-                        let previousElementBuffer = [];
+                    scope.$addWatcherGate(function deferLinkChecker() {
+                        return isElementVisible(scope, element, slyVisibility);
+                    }, createShouldGateWatcher(slyGateExemptions, 'deferLink', null),
+                        true /* Evaluate any newly added watchers when they are added */,
+                        {kind: 'deferLink', directive: 'slyDeferLink', element: element});
 
-                        let deregisterCallback = $scope.$watchCollection(collectionExpr, function (collection) {
-                            if (!collection) {
+                    scope.$on('$destroy', cancelUnlink);
+                }
+            };
+        }])
+        /**
+         * Directive for preventing all bound expressions in the current element and its children
+         * from being evaluated while the current element is scrolled out of view.  The attribute's
+         * value may give a selector for the scrolling container to use (the closest ancestor
+         * matching it), otherwise the browser viewport is used.  'sly-viewport-root-margin' may
+         * give a margin around the container (such as '200px'), in the same form as the CSS margin
+         * property, so that content is evaluated a little before it scrolls into view.
+         *
+         * Visibility is tracked with an IntersectionObserver rather than by querying the layout on
+         * every digest.  When the element scrolls into view, a digest is triggered so its contents
+         * are up to date.  The contents are always evaluated until the observer first reports, and
+         * in browsers without IntersectionObserver support, they are never gated.
+         */
+        .directive('slyEvaluateWhenInViewport', ['$window', '$document', 'slyGateExemptions',
+            function ($window, $document, slyGateExemptions) {
+            return {
+                restrict: 'A',
+                // See preventEvaluationWhenHidden.
+                scope: true,
+                compile: function compile(tElement, tAttrs) {
+                    return {
+                        pre: function preLink(scope, element, attrs) {
+                            // Whether or not the element intersects the viewport, or null if not known yet.
+                            scope.$$_isInViewport = null;
+                            scope.$addWatcherGate(function inViewportChecker() {
+                                return scope.$$_isInViewport !== false;
+                            }, createShouldGateWatcher(slyGateExemptions, 'viewport', null),
+                                true /* Evaluate any newly added watchers when they are added */,
+                                {kind: 'viewport', directive: 'slyEvaluateWhenInViewport', element: element});
+                        },
+                        post: function postLink(scope, element, attrs) {
+                            if (!_.isFunction($window.IntersectionObserver)) {
                                 return;
                             }
-                            if (!_.isArray(collection)) {
-                                throw Error("'collection' did not evaluate to an array.  expression was " + collectionExpr);
+                            let root = null;
+                            let rootSelector = attrs['slyEvaluateWhenInViewport'];
+                            if (isStringNonempty(rootSelector)) {
+                                let parentNode = element[0].parentNode;
+                                if (parentNode && _.isFunction(parentNode.closest)) {
+                                    root = parentNode.closest(rootSelector);
+                                }
+                                if (!root) {
+                                    root = $document[0].querySelector(rootSelector);
+                                }
+                                if (!root) {
+                                    throw Error("Could not find the slyEvaluateWhenInViewport container '" +
+                                        rootSelector + "'");
+                                }
                             }
-                            let originalPreviousElementsLength = previousElements.length;
-                            // First, reconcile previousElements and collection with respect to the previousElementBuffer.
-                            // Basically, try to grow previousElements to collection.length if we can.
-                            if ((previousElements.length < collection.length) && (previousElementBuffer.length > 0)) {
-                                let limit = previousElements.length + previousElementBuffer.length;
-                                if (limit > collection.length) {
-                                    limit = collection.length;
+                            let rootMargin = '0px';
+                            if (hasProperty(attrs, 'slyViewportRootMargin')) {
+                                rootMargin = attrs['slyViewportRootMargin'];
+                                if (isStringEmpty(rootMargin)) {
+                                    throw new Error('Empty string is illegal for value of slyViewportRootMargin');
                                 }
-                                previousElements = previousElements.concat(previousElementBuffer.splice(0, limit - previousElements.length));
                             }
 
-                            let currentElements = null;
-                            let currentElementBuffer = [];
+                            let observer = new $window.IntersectionObserver(function (entries) {
+                                let entry = _.last(entries);
+                                let isInViewport = entry.isIntersecting || (entry.intersectionRatio > 0);
+                                let wasInViewport = scope.$$_isInViewport;
+                                scope.$$_isInViewport = isInViewport;
+                                if (isInViewport && (wasInViewport === false)) {
+                                    // Bring the contents up to date now that they can be seen.
+                                    scope.$evalAsync(_.noop);
+                                }
+                            }, {
+                                root: root,
+                                rootMargin: rootMargin
+                            });
+                            observer.observe(element[0]);
+                            scope.$on('$destroy', function () {
+                                observer.disconnect();
+                            });
+                        }
+                    };
+                }
+            };
+        }]);
+
+    /**
+     * @fileoverview
+     * Module:  slyRepeat
+     *
+     * Contains the slyRepeat directive, which is is a modified version of the
+     * ngRepeat directive that is meant to be more efficient for creating and
+     * recreating large lists of bound elements.  In particular, it has an
+     * optimization that will prevent DOM elements from being constantly created
+     * and destroyed as the contents of the repeated elements change.  It does this
+     * by not destroying DOM elements when they are no longer needed, but instead,
+     * just hiding them. This might not work for all use cases, but for it does
+     * for the ones we do wish to heavily optimize.  For eample, through profiling,
+     * we found that destroying DOM elements when flipping through log view pages
+     * represented a large chunk of CPU time.
+     *
+     * A 'track by' expression may be given (as in 'item in items track by item.id'),
+     * in which case each element and its scope follow their key when the collection
+     * is reordered, rather than being rebound by position.
+     *
+     * The collection may be an array, an object, a Map, a Set, an array-like
+     * object (such as a NodeList or typed array) or any other iterable.  Use
+     * '(key, value) in collection' to also bind the key of each item.  For objects
+     * and Maps, the key is the property name / map key.  For everything else, it
+     * is the index of the item.  Object properties beginning with '$' are skipped.
+     * Since the collection is iterated on every digest, iterators that can only be
+     * consumed once (such as the result of a generator function) will not work.
+     *
+     * For very large collections, a windowed mode may be enabled by setting the
+     * 'sly-repeat-viewport' attribute to a selector for the scrolling container.
+     * In this mode, only the items visible in the container (plus
+     * 'sly-repeat-overscan' items on either side, 5 by default) are linked, and
+     * spacer elements stand in for the rest.  The height of each item is given by
+     * 'sly-repeat-item-height' or, if that is not given, measured from the first
+     * rendered item.  All items must have the same height.
+     *
+     * By default, elements are shown and hidden by directly setting their display
+     * style, so animations will not run.  If the 'sly-repeat-animate' attribute is
+     * present, elements that are shown are put back in place with $animate.enter,
+     * and elements that are hidden are replaced by a copy that is removed with
+     * $animate.leave (the elements themselves are kept for reuse), so the usual
+     * ng-enter / ng-leave animations run.  When a track by expression is given,
+     * elements that change position also run move animations.
+     *
+     * When the collection grows by many items, linking all of the new elements at
+     * once can freeze the page.  If the 'sly-repeat-progressive' attribute is
+     * present, new elements are instead linked in chunks over several animation
+     * frames, each taking about the number of milliseconds given as the attribute's
+     * value (8 by default).  After each chunk but the last, a 'slyRepeatProgress'
+     * event is emitted with the number of items rendered and the total, and once
+     * all items are rendered, a 'slyRepeatRendered' event is emitted.  Note, these
+     * are emitted outside of a digest for all but the first chunk.  If the collection
+     * changes before all chunks are rendered, the remaining chunks are abandoned and
+     * rendering starts over with the new collection.  This is ignored in windowed
+     * mode, which only renders a few items anyway.
+     *
+     * Normally, the watchers of every visible element are evaluated on every digest.
+     * If the 'sly-repeat-gate-by-item' attribute is present, an element's watchers
+     * are only evaluated when its item (or key or position) changes by reference.
+     * 'sly-repeat-item-version' may give an expression, evaluated on each element's
+     * scope (such as 'item.version'), that also re-evaluates the element when its
+     * value changes, and implies 'sly-repeat-gate-by-item'.  Similar to
+     * slyAlwaysEvaluate, any watch expression containing the string given in
+     * 'sly-repeat-always-evaluate' is evaluated on every digest regardless.
+     *
+     * The number of hidden elements kept for reuse may be limited with
+     * 'sly-repeat-max-buffer', and 'sly-repeat-buffer-timeout' gives the number of
+     * milliseconds they are kept after the repeat stops changing.  Elements beyond
+     * these limits are destroyed.  Several slyRepeat instances with the same
+     * template may also share a pool of linked elements by giving the same
+     * 'sly-repeat-pool' name, in which case elements beyond the limits (and all of
+     * the elements of a destroyed instance) go into the pool to be reused by the
+     * others.  It is an error for instances sharing a pool to repeat different
+     * templates.  The scopes of a pooled instance's elements are children of the
+     * scope enclosing the repeat, and elements can only be shared between
+     * instances with the same enclosing scope and gating function (such as the
+     * same preventEvaluationWhenHidden region).  The limits of each pool are set
+     * with the slyRepeatPoolsProvider.
+     *
+     * Like ngRepeat, a range of sibling elements may be repeated by using
+     * 'sly-repeat-start' and 'sly-repeat-end' in place of 'sly-repeat'.  All of the
+     * elements in each block are cloned, shown, hidden and reused together.
+     *
+     * Cavaets:  Use at your own peril.
+     *
+     * @author Steven Czerwinski <czerwin@scalyr.com>
+     */
+    defineScalyrAngularModule('slyRepeat', ['gatedScope'])
+        .directive('slyRepeat', ['$animate', '$parse', '$window', '$document', '$timeout', '$rootScope',
+            '$exceptionHandler', 'slyGateExemptions', 'slyRepeatPools',
+            function ($animate, $parse, $window, $document, $timeout, $rootScope, $exceptionHandler,
+                      slyGateExemptions, slyRepeatPools) {
+            // The tag to use for the windowed mode's spacer elements, keyed by the tag of the parent element.
+            let SPACER_TAGS = {table: 'tr', thead: 'tr', tbody: 'tr', tfoot: 'tr', ul: 'li', ol: 'li'};
+            // The item height assumed by the windowed mode until an item has been measured.
+            let ESTIMATED_ITEM_HEIGHT = 20;
+            // The default number of milliseconds per frame that progressive rendering spends linking.
+            let DEFAULT_FRAME_BUDGET = 8;
+            // The number of new elements progressive rendering links in its first chunk, before it has
+            // measured how long linking takes.
+            let INITIAL_CHUNK_SIZE = 50;
+
+            /**
+             * Returns all of the DOM nodes of a repeated element.  For a multi-element repeat, this
+             * includes any nodes that were inserted between the block's first node and its end marker
+             * after it was cloned (such as the contents of an ngIf).
+             *
+             * @param {Object} element The jqLite element of the repeated element
+             * @returns {Object} A jqLite collection with all of the nodes
+             */
+            function getBlockNodes(element) {
+                if (element.length === 1) {
+                    return element;
+                }
+                let endNode = element[element.length - 1];
+                let node = element[0];
+                let nodes = [node];
+                while ((node !== endNode) && (node = node.nextSibling)) {
+                    nodes.push(node);
+                }
+                return angular.element(nodes);
+            }
+
+            /**
+             * @param {Object} element The jqLite element of a repeated element (or the element repeated
+             *   elements are placed after)
+             * @returns {Object} A jqLite element with just its last DOM node
+             */
+            function getBlockEnd(element) {
+                if (element.length === 1) {
+                    return element;
+                }
+                return angular.element(element[element.length - 1]);
+            }
+
+            /**
+             * Removes the DOM nodes of a repeated element from the document without destroying them.
+             *
+             * @param {Object} repeatedElement The repeated element
+             */
+            function detachElement(repeatedElement) {
+                repeatedElement.element = getBlockNodes(repeatedElement.element);
+                for (let i = 0; i < repeatedElement.element.length; ++i) {
+                    let node = repeatedElement.element[i];
+                    if (node.parentNode) {
+                        node.parentNode.removeChild(node);
+                    }
+                }
+            }
+
+            /**
+             * Destroys the scope and DOM nodes of a repeated element.
+             *
+             * @param {Object} repeatedElement The repeated element
+             */
+            function destroyElement(repeatedElement) {
+                repeatedElement.scope.$destroy();
+                getBlockNodes(repeatedElement.element).remove();
+            }
+
+            /**
+             * Makes sure that the elements in pool whose scopes are children of parentScope are removed from
+             * the pool when parentScope is destroyed, since their scopes are destroyed along with it.
+             *
+             * @param {Object} pool The shared pool
+             * @param {Object} parentScope The parent scope of the elements an instance puts in the pool
+             */
+            function watchPoolParent(pool, parentScope) {
+                if (pool.parentScopes.indexOf(parentScope) >= 0) {
+                    return;
+                }
+                pool.parentScopes.push(parentScope);
+                parentScope.$on('$destroy', function () {
+                    _.pull(pool.parentScopes, parentScope);
+                    _.forEach(_.remove(pool.elements, function (pooledElement) {
+                        return pooledElement.scope.$parent === parentScope;
+                    }), function (pooledElement) {
+                        getBlockNodes(pooledElement.element).remove();
+                    });
+                });
+            }
+
+            /**
+             * Sets the scope contained in elementScope to gate all its
+             * watchers based on the isActiveForRepeat proprety.  If itemGate
+             * is given, the watchers are further gated so that they are only
+             * evaluated when the item bound to the scope changes.
+             *
+             * @param {Object} elementScope The object containing the
+             *   scope and isActiveForRepeat properties.
+             * @param {Object} itemGate The per-item gating options, or null
+             *   to only gate on isActiveForRepeat.  It has the iterVar and keyVar
+             *   names, the versionGetter (or null) to evaluate on the scope, and
+             *   the isExempt function (or null) exempting watchers from the gate.
+             */
+            function gateWatchersForScope(elementScope, itemGate) {
+                let shouldGateWatcher = createShouldGateWatcher(slyGateExemptions, 'repeat',
+                    _.isNull(itemGate) ? null : itemGate.isExempt);
+                // The element is only known once it is linked, and changes when the element is reused.
+                let description = {
+                    kind: 'repeat',
+                    directive: 'slyRepeat',
+                    element: function () {
+                        return elementScope.element;
+                    }
+                };
+
+                if (_.isNull(itemGate)) {
+                    elementScope.scope.$addWatcherGate(function activeForRepeatChecker() {
+                        return elementScope.isActiveForRepeat;
+                    }, shouldGateWatcher, false, description);
+                    return;
+                }
+
+                // The values the gate depends on, as of the last time it was checked.
+                let lastValues = null;
+                elementScope.scope.$addWatcherGate(function itemChecker() {
+                    if (!elementScope.isActiveForRepeat) {
+                        return false;
+                    }
+                    let scope = elementScope.scope;
+                    let currentValues = [
+                        scope[itemGate.iterVar],
+                        _.isNull(itemGate.keyVar) ? null : scope[itemGate.keyVar],
+                        _.isNull(itemGate.versionGetter) ? null : itemGate.versionGetter(scope),
+                        scope.$index,
+                        scope.$first,
+                        scope.$last
+                    ];
+                    let result = _.isNull(lastValues) || _.some(currentValues, function (value, i) {
+                        return (value !== lastValues[i]) && !(_.isNaN(value) && _.isNaN(lastValues[i]));
+                    });
+                    lastValues = currentValues;
+                    return result;
+                }, shouldGateWatcher, true /* Evaluate any newly added watchers when they are added */, description);
+            }
+
+            /**
+             * Sets the positional values ($index, $first, $last, $middle) on the scope of a repeated element.
+             *
+             * @param {Object} scope The scope of the repeated element
+             * @param {Number} index The index of the element's item in the collection
+             * @param {Number} length The length of the collection
+             */
+            function setPositionalValues(scope, index, length) {
+                scope.$index = index;
+                scope.$first = (index === 0);
+                scope.$last = (index === (length - 1));
+                scope.$middle = ((index !== 0) && (index !== (length - 1)));
+            }
+
+            /**
+             * Parses an attribute whose value must be a non-negative integer.
+             *
+             * @param {Object} attrs The directive's attributes
+             * @param {String} name The normalized name of the attribute
+             * @param {Number} defaultValue The value to return if the attribute is not present
+             * @returns {Number} The value of the attribute
+             */
+            function parseCountAttribute(attrs, name, defaultValue) {
+                if (!hasProperty(attrs, name)) {
+                    return defaultValue;
+                }
+                let value = parseInt(attrs[name], 10);
+                if (!(value >= 0)) {
+                    throw Error(name + " must be a non-negative integer but got '" + attrs[name] + "'.");
+                }
+                return value;
+            }
+
+            /**
+             * @returns {Number} The current time in milliseconds, with sub-millisecond precision if
+             *   the browser supports it
+             */
+            function now() {
+                if ($window.performance && _.isFunction($window.performance.now)) {
+                    return $window.performance.now();
+                }
+                return Date.now();
+            }
+
+            /**
+             * Invokes callback before the next repaint.  Since callback is not invoked during a digest,
+             * any error it throws (such as for a duplicate key) is passed to $exceptionHandler.
+             *
+             * @param {Function} callback The function to invoke
+             * @returns {Function} A function that will cancel the request if invoked
+             */
+            function requestFrame(callback) {
+                let guardedCallback = function () {
+                    try {
+                        callback();
+                    } catch (e) {
+                        $exceptionHandler(e);
+                    }
+                };
+                if (_.isFunction($window.requestAnimationFrame)) {
+                    let id = $window.requestAnimationFrame(guardedCallback);
+                    return function () {
+                        $window.cancelAnimationFrame(id);
+                    };
+                }
+                let id = $window.setTimeout(guardedCallback, 16);
+                return function () {
+                    $window.clearTimeout(id);
+                };
+            }
+
+            /**
+             * Converts a non-array collection into the keys and values that should be repeated over.
+             *
+             * @param {*} collection The value of the collection expression.  Must not be an array.
+             * @param {String} collectionExpr The collection expression, used in error messages
+             * @returns {{keys: Array, values: Array}} The keys and values of the collection, in
+             *   iteration order
+             */
+            function collectionToEntries(collection, collectionExpr) {
+                let keys = [];
+                let values = [];
+                if (!_.isObject(collection) || _.isFunction(collection)) {
+                    throw Error("'collection' did not evaluate to an array, object or other iterable.  expression was " +
+                        collectionExpr + ' and evaluated to ' + collection);
+                }
+                if (_.isMap(collection)) {
+                    collection.forEach(function (value, key) {
+                        keys.push(key);
+                        values.push(value);
+                    });
+                } else if (_.isArrayLike(collection) || _.isFunction(collection[Symbol.iterator])) {
+                    // Array-likes (NodeList, typed arrays, etc), Sets, and generic iterables are all keyed by index.
+                    values = _.isArrayLike(collection) ? Array.prototype.slice.call(collection) : Array.from(collection);
+                    keys = _.range(values.length);
+                } else {
+                    for (let key in collection) {
+                        if (hasProperty(collection, key) && key.charAt(0) !== '$') {
+                            keys.push(key);
+                            values.push(collection[key]);
+                        }
+                    }
+                }
+                return {keys: keys, values: values};
+            }
+
+            return {
+                restrict: 'A',
+                scope: true,
+                transclude: 'element',
+                multiElement: true,
+                priority: 1000,
+                terminal: true,
+                compile: function (element, attr, linker) {
+                    // The markup of the repeated element, recorded by the slyRepeatPool directive.
+                    let template = attr.$$slyRepeatTemplate;
+
+                    // Most of the work is done in the post-link function.
+                    return function ($scope, $element, $attr) {
+                        // This code is largely based on ngRepeat.
+
+                        // Parse the expression.  It should look like:
+                        // x in some-expression [track by some-key-expression]
+                        let expression = $attr.slyRepeat;
+                        let match = expression.match(/^\s*(.+)\s+in\s+(.*?)(?:\s+track\s+by\s+(.+?))?\s*$/);
+                        if (!match) {
+                            throw Error("Expected slyRepeat in form of '_item_ in _collection_[ track by _id_]' but got '" +
+                                expression + "'.");
+                        }
+
+                        let lhs = match[1];
+                        let collectionExpr = match[2];
+                        let trackByGetter = match[3] ? $parse(match[3]) : null;
+
+                        match = lhs.match(/^(?:([\$\w]+)|\(\s*([\$\w]+)\s*,\s*([\$\w]+)\s*\))$/);
+                        if (!match) {
+                            throw Error("'item' in 'item in collection' should be an identifier or '(key, value)' " +
+                                "expression but got '" + lhs + "'.");
+                        }
+                        let iterVar = match[3] || match[1];
+                        let keyVar = match[2] || null;
+
+                        // previousElements will store references to the already existing (DOM) elements
+                        // that were last used for the last rendering of this repeat and were visible.
+                        // We will re-use these elements when executing the next rendering of the repeat when
+                        // the iteration value changes.
+                        let previousElements = [];
+                        // previousElementsBuffer will store references to the already existing (DOM) elements
+                        // that are in the page but were not used for the last rendering of this repeat and were
+                        // therefore marked as inactive and not visible.  This happens if the length of the repeat
+                        // iteration goes down over time, since we do not remove the elements.  If the repeat length
+                        // was first 10, then 5, we will end up with the last 5 elements in the previousElementBuffer.
+                        // We keep this in case the length increases again.
+                        let previousElementBuffer = [];
+                        // elementsByKey maps each track by key to the element currently rendering the item with
+                        // that key.  It is only used when a track by expression was given.
+                        let elementsByKey = new Map();
+                        // The element that the first repeated element is placed after.  This is the spacer
+                        // element in windowed mode.
+                        let startElement = $element;
+                        // The index in the whole collection of the first item passed to the last render.
+                        let lastIndexOffset = 0;
+                        // Whether or not showing, hiding and moving elements goes through $animate.
+                        let animate = hasProperty($attr, 'slyRepeatAnimate');
+
+                        /**
+                         * Invokes fn with a jqLite element for each of the element (not text or comment) nodes
+                         * of a repeated element.
+                         *
+                         * @param {Object} repeatedElement The repeated element
+                         * @param {Function} fn The function to invoke
+                         */
+                        function forEachElementNode(repeatedElement, fn) {
+                            if (repeatedElement.element.length === 1) {
+                                fn(repeatedElement.element);
+                                return;
+                            }
+                            let nodes = getBlockNodes(repeatedElement.element);
+                            for (let i = 0; i < nodes.length; ++i) {
+                                if (nodes[i].nodeType === 1) {
+                                    fn(angular.element(nodes[i]));
+                                }
+                            }
+                        }
+
+                        /**
+                         * Shows the DOM element of a repeated element that was hidden because it was inactive.
+                         * If animating, the element is taken out of the document and put back in the same place
+                         * with $animate.enter, so that the usual ng-enter animations apply.
+                         *
+                         * @param {Object} repeatedElement The repeated element to show
+                         */
+                        function showElement(repeatedElement) {
+                            forEachElementNode(repeatedElement, function (element) {
+                                element.css('display', '');
+                                let node = element[0];
+                                if (animate && node.parentNode && node.previousSibling) {
+                                    let prevNode = angular.element(node.previousSibling);
+                                    node.parentNode.removeChild(node);
+                                    $animate.enter(element, null, prevNode);
+                                }
+                            });
+                        }
+
+                        /**
+                         * Hides the DOM element of a repeated element that has become inactive.  If animating,
+                         * the element is hidden right away, but a copy of it takes its place and is removed with
+                         * $animate.leave, so that the usual ng-leave animations apply.  The element itself cannot
+                         * go through $animate.leave, since that would deallocate it.
+                         *
+                         * @param {Object} repeatedElement The repeated element to hide
+                         */
+                        function hideElement(repeatedElement) {
+                            forEachElementNode(repeatedElement, function (element) {
+                                if (animate && element[0].parentNode) {
+                                    let copy = angular.element(element[0].cloneNode(true));
+                                    element.after(copy);
+                                    $animate.leave(copy);
+                                }
+                                element.css('display', 'none');
+                            });
+                        }
+
+                        /**
+                         * Moves the DOM element of a repeated element to directly after prevElement.
+                         *
+                         * @param {Object} repeatedElement The repeated element to move
+                         * @param {Object} prevElement The jqLite element to place it after
+                         */
+                        function moveElement(repeatedElement, prevElement) {
+                            repeatedElement.element = getBlockNodes(repeatedElement.element);
+                            if (animate) {
+                                $animate.move(repeatedElement.element, null, getBlockEnd(prevElement));
+                            } else {
+                                getBlockEnd(prevElement).after(repeatedElement.element);
+                            }
+                        }
+
+                        /**
+                         * Clones and links the DOM element for a new repeated element, and places it directly
+                         * after prevElement.
+                         *
+                         * @param {Object} repeatedElement The repeated element, whose scope is used for linking
+                         * @param {Object} prevElement The jqLite element to place it after
+                         */
+                        function linkElement(repeatedElement, prevElement) {
+                            linker(repeatedElement.scope, function (clone) {
+                                // For a multi-element repeat, we mark the end of each block so that we can find all
+                                // of its nodes even if more are inserted (see getBlockNodes).
+                                if (clone.length > 1) {
+                                    clone[clone.length++] = $document[0].createComment(' end slyRepeat: ' + expression + ' ');
+                                }
+                                $animate.enter(clone, null, getBlockEnd(prevElement));
+                                repeatedElement.element = clone;
+                            });
+                        }
+
+                        /**
+                         * Places the DOM element of a repeated element from the shared pool directly after
+                         * prevElement.
+                         *
+                         * @param {Object} repeatedElement The repeated element
+                         * @param {Object} prevElement The jqLite element to place it after
+                         */
+                        function enterElement(repeatedElement, prevElement) {
+                            $animate.enter(repeatedElement.element, null, getBlockEnd(prevElement));
+                        }
+
+                        // The limits on the buffer.  maxBuffer is the most elements that will be kept in
+                        // previousElementBuffer, and bufferTimeout is how long (in milliseconds) they are kept once
+                        // the repeat stops changing.  Either is null if there is no limit.
+                        let maxBuffer = parseCountAttribute($attr, 'slyRepeatMaxBuffer', null);
+                        let bufferTimeout = parseCountAttribute($attr, 'slyRepeatBufferTimeout', null);
+                        let cancelIdleTrim = null;
+                        // The options for per-item gating, or null if each element's watchers are evaluated on
+                        // every digest while it is active.  See gateWatchersForScope.
+                        let itemGate = null;
+                        if (hasProperty($attr, 'slyRepeatGateByItem') || hasProperty($attr, 'slyRepeatItemVersion')) {
+                            itemGate = {
+                                iterVar: iterVar,
+                                keyVar: keyVar,
+                                versionGetter: null,
+                                isExempt: null
+                            };
+                            if (hasProperty($attr, 'slyRepeatItemVersion')) {
+                                if (isStringEmpty($attr.slyRepeatItemVersion)) {
+                                    throw new Error('Empty string is illegal for value of slyRepeatItemVersion');
+                                }
+                                itemGate.versionGetter = $parse($attr.slyRepeatItemVersion);
+                            }
+                            if (hasProperty($attr, 'slyRepeatAlwaysEvaluate')) {
+                                itemGate.isExempt = createWatcherExemption($attr.slyRepeatAlwaysEvaluate,
+                                    'slyRepeatAlwaysEvaluate', $scope);
+                            }
+                        }
+                        // The shared pool that elements are taken from and released to, or null.
+                        let pool = null;
+                        // The scope that the scopes of the repeated elements are children of.  Elements can only
+                        // be shared by instances whose elements have the same parent scope, so with a pool, they
+                        // are children of the scope enclosing the repeat rather than of the repeat's own scope.
+                        let elementParentScope = $scope;
+                        if (hasProperty($attr, 'slyRepeatPool')) {
+                            if (isStringEmpty($attr.slyRepeatPool)) {
+                                throw new Error('Empty string is illegal for value of slyRepeatPool');
+                            }
+                            pool = slyRepeatPools.get($attr.slyRepeatPool);
+                            if (_.isNull(pool.template)) {
+                                pool.template = template;
+                            } else if (pool.template !== template) {
+                                throw new Error("The slyRepeat instances sharing the pool '" + $attr.slyRepeatPool +
+                                    "' must repeat the same template.  expression was " + expression);
+                            }
+                            elementParentScope = $scope.$parent;
+                            watchPoolParent(pool, elementParentScope);
+                        }
+
+                        /**
+                         * Returns a repeated element to use for a new item.  If possible, this is an element
+                         * from the shared pool, which is already linked but not in the document.  Otherwise, it is
+                         * a new element whose 'element' field is not set until it is linked.
+                         *
+                         * @returns {Object} The repeated element, marked as active
+                         */
+                        function createRepeatedElement() {
+                            if (!_.isNull(pool)) {
+                                for (let i = pool.elements.length - 1; i >= 0; --i) {
+                                    let pooledElement = pool.elements[i];
+                                    // We can only take elements whose scopes have the same parent as ours, and
+                                    // that were created under the same gating function, since their gates were
+                                    // registered against it.
+                                    if ((pooledElement.scope.$parent === elementParentScope) &&
+                                        (pooledElement.scope.$$parentGatingFunction === $scope.$$gatingFunction)) {
+                                        pool.elements.splice(i, 1);
+                                        pooledElement.isActiveForRepeat = true;
+                                        return pooledElement;
+                                    }
+                                }
+                            }
+                            let newElement = {
+                                scope: elementParentScope.$new(),
+                                isActiveForRepeat: true
+                            };
+                            gateWatchersForScope(newElement, itemGate);
+                            return newElement;
+                        }
+
+                        /**
+                         * Gives up a repeated element that is no longer needed.  If there is a shared pool, the
+                         * element is removed from the document and placed in the pool, where its scope stays
+                         * inactive.  Otherwise, it is destroyed.  The pool is then trimmed to its own limits.
+                         *
+                         * @param {Object} repeatedElement The repeated element
+                         */
+                        function releaseElement(repeatedElement) {
+                            if (_.isNull(pool)) {
+                                destroyElement(repeatedElement);
+                                return;
+                            }
+                            // Elements in the pool are out of the document, so they are left shown.  That way,
+                            // the instance that takes it does not have to know how it was hidden.
+                            repeatedElement.isActiveForRepeat = false;
+                            showElement(repeatedElement);
+                            detachElement(repeatedElement);
+                            pool.elements.push(repeatedElement);
+
+                            while (!_.isNull(pool.maxSize) && (pool.elements.length > pool.maxSize)) {
+                                destroyElement(pool.elements.shift());
+                            }
+                            if (!_.isNull(pool.timeout)) {
+                                if (!_.isNull(pool.cancelIdleTrim)) {
+                                    pool.cancelIdleTrim();
+                                }
+                                let idlePool = pool;
+                                let promise = $timeout(function () {
+                                    idlePool.cancelIdleTrim = null;
+                                    while (idlePool.elements.length > 0) {
+                                        destroyElement(idlePool.elements.shift());
+                                    }
+                                }, pool.timeout, false);
+                                pool.cancelIdleTrim = function () {
+                                    $timeout.cancel(promise);
+                                };
+                            }
+                        }
+
+                        /**
+                         * Releases elements from the end of previousElementBuffer until it has at most
+                         * limit elements.
+                         *
+                         * @param {Number} limit The maximum number of elements to keep
+                         */
+                        function trimBuffer(limit) {
+                            while (previousElementBuffer.length > limit) {
+                                releaseElement(previousElementBuffer.pop());
+                            }
+                        }
+
+                        /**
+                         * Enforces the buffer limits.  This should be invoked after every render.
+                         */
+                        function limitBuffer() {
+                            if (!_.isNull(maxBuffer)) {
+                                trimBuffer(maxBuffer);
+                            }
+                            if (!_.isNull(cancelIdleTrim)) {
+                                cancelIdleTrim();
+                                cancelIdleTrim = null;
+                            }
+                            if (!_.isNull(bufferTimeout) && (previousElementBuffer.length > 0)) {
+                                let promise = $timeout(function () {
+                                    cancelIdleTrim = null;
+                                    trimBuffer(0);
+                                }, bufferTimeout, false);
+                                cancelIdleTrim = function () {
+                                    $timeout.cancel(promise);
+                                };
+                            }
+                        }
+
+                        /**
+                         * @param {*} value The item from the collection
+                         * @param {Number} index The index of the item in the collection
+                         * @returns {*} The track by key for the item
+                         */
+                        function computeTrackByKey(key, value, index) {
+                            let locals = {$index: index};
+                            locals[iterVar] = value;
+                            if (!_.isNull(keyVar)) {
+                                locals[keyVar] = key;
+                            }
+                            return trackByGetter($scope, locals);
+                        }
+
+                        /**
+                         * Renders the collection by position.  The element at index i is always reused for
+                         * the item at index i, so the iteration value is simply rebound on each element's scope.
+                         *
+                         * @param {Array} collection The values of the collection to render
+                         * @param {Array} keys The keys of the collection, or null if the keys are the indices
+                         * @param {Number} indexOffset The index in the whole collection of the first item to render
+                         * @param {Number} totalLength The length of the whole collection
+                         */
+                        function renderByPosition(collection, keys, indexOffset, totalLength) {
+                            let originalPreviousElementsLength = previousElements.length;
+                            // First, reconcile previousElements and collection with respect to the previousElementBuffer.
+                            // Basically, try to grow previousElements to collection.length if we can.
+                            if ((previousElements.length < collection.length) && (previousElementBuffer.length > 0)) {
+                                let limit = previousElements.length + previousElementBuffer.length;
+                                if (limit > collection.length) {
+                                    limit = collection.length;
+                                }
+                                previousElements = previousElements.concat(previousElementBuffer.splice(0, limit - previousElements.length));
+                            }
+
+                            let currentElements = null;
+                            let currentElementBuffer = [];
+
+                            let newElements = [];
+                            if (collection.length > previousElements.length) {
+                                // Add in enough elements to account for the larger collection.
+                                for (let i = previousElements.length; i < collection.length; ++i) {
+                                    // Need to add in an element for each new item in the collection.
+                                    newElements.push(createRepeatedElement());
+                                }
+                                currentElements = previousElements.concat(newElements);
+                                currentElementBuffer = previousElementBuffer;
+                            } else if (collection.length < previousElements.length) {
+                                for (let i = collection.length; i < previousElements.length; ++i) {
+                                    previousElements[i].isActiveForRepeat = false;
+                                }
+
+                                currentElementBuffer = previousElements.splice(collection.length, previousElements.length - collection.length).concat(
+                                    previousElementBuffer);
+                                currentElements = previousElements;
+                            } else {
+                                currentElements = previousElements;
+                                currentElementBuffer = previousElementBuffer;
+                            }
+
+                            // We have to fix up the last and middle values in the scope for each element in
+                            // currentElements, since their roles may have changed with the new length.
+                            // We always have to fix the last element.
+                            if (currentElements.length > 0) {
+                                let firstIndexToFix = currentElements.length - 1;
+                                let lastIndexToFix = currentElements.length - 1;
+                                // We also have to fix any new elements that were added.
+                                if (originalPreviousElementsLength < currentElements.length) {
+                                    firstIndexToFix = originalPreviousElementsLength;
+                                }
+                                // And we usually have to fix the element before the first element we modified
+                                // in case it used to be last.
+                                if (firstIndexToFix > 0) {
+                                    firstIndexToFix = firstIndexToFix - 1;
+                                }
+                                // If the window moved, then every element has a new index.
+                                if (indexOffset !== lastIndexOffset) {
+                                    firstIndexToFix = 0;
+                                }
+                                for (let i = firstIndexToFix; i <= lastIndexToFix; ++i) {
+                                    setPositionalValues(currentElements[i].scope, indexOffset + i, totalLength);
+                                    if (!currentElements[i].isActiveForRepeat) {
+                                        // If it is not marked as active, make it active.  This is also indicates that
+                                        // the element is currently hidden, so we have to unhide it.
+                                        currentElements[i].isActiveForRepeat = true;
+                                        showElement(currentElements[i]);
+                                    }
+                                }
+                            }
+
+                            // Hide all elements that have recently become inactive.
+                            for (let i = 0; i < currentElementBuffer.length; ++i) {
+                                if (currentElementBuffer[i].isActiveForRepeat) {
+                                    break;
+                                }
+                                hideElement(currentElementBuffer[i]);
+                            }
+
+                            // Assign the new value for the iter variable (and key variable) for each scope.
+                            for (let i = 0; i < currentElements.length; ++i) {
+                                currentElements[i].scope[iterVar] = collection[i];
+                                if (!_.isNull(keyVar)) {
+                                    currentElements[i].scope[keyVar] = _.isNull(keys) ? indexOffset + i : keys[i];
+                                }
+                            }
+
+                            // We have to go back now and clone the DOM element for any new elements we
+                            // added and link them in.  We clone the last DOM element we had created already
+                            // for this Repeat.
+                            let prevElement = startElement;
+                            if (previousElements.length > 0) {
+                                prevElement = previousElements[previousElements.length - 1].element;
+                            }
+                            for (let i = 0; i < newElements.length; ++i) {
+                                if (_.isUndefined(newElements[i].element)) {
+                                    linkElement(newElements[i], prevElement);
+                                } else {
+                                    // An already linked element from the shared pool.
+                                    enterElement(newElements[i], prevElement);
+                                }
+                                prevElement = newElements[i].element;
+                            }
+
+                            previousElements = currentElements;
+                            previousElementBuffer = currentElementBuffer;
+                            lastIndexOffset = indexOffset;
+                        }
+
+                        /**
+                         * Renders the collection using the track by expression.  An element (and its scope)
+                         * follows its key as the collection is reordered, so only elements for new keys are
+                         * rebound.  Elements whose keys were removed are hidden and placed in the
+                         * previousElementBuffer, and are reused for new keys before any new elements are created.
+                         *
+                         * @param {Array} collection The values of the collection to render
+                         * @param {Array} keys The keys of the collection, or null if the keys are the indices
+                         * @param {Number} indexOffset The index in the whole collection of the first item to render
+                         * @param {Number} totalLength The length of the whole collection
+                         */
+                        function renderByKey(collection, keys, indexOffset, totalLength) {
+                            let nextElementsByKey = new Map();
+                            let currentElements = new Array(collection.length);
+
+                            // First, compute the keys.  We check for duplicates before touching any of the
+                            // existing elements so that an error leaves the previous rendering intact.
+                            for (let i = 0; i < collection.length; ++i) {
+                                let key = computeTrackByKey(_.isNull(keys) ? indexOffset + i : keys[i], collection[i],
+                                    indexOffset + i);
+                                if (nextElementsByKey.has(key)) {
+                                    throw Error("Duplicates in a slyRepeat are not allowed.  Use a unique 'track by' " +
+                                        "expression.  Repeater: " + expression + ", duplicate key: " + key);
+                                }
+                                nextElementsByKey.set(key, i);
+                            }
+
+                            // Then, find the existing element for every key that is still in the collection.
+                            nextElementsByKey.forEach(function (index, key) {
+                                let existingElement = elementsByKey.get(key);
+                                if (!_.isUndefined(existingElement)) {
+                                    currentElements[index] = existingElement;
+                                    elementsByKey.delete(key);
+                                }
+                            });
+
+                            // Anything left in elementsByKey has a key that dropped out of the collection.  Those
+                            // elements become inactive and are hidden rather than destroyed.
+                            let removedElements = [];
+                            elementsByKey.forEach(function (removedElement) {
+                                removedElement.isActiveForRepeat = false;
+                                hideElement(removedElement);
+                                removedElements.push(removedElement);
+                            });
+                            previousElementBuffer = removedElements.concat(previousElementBuffer);
+
+                            // Fill in the items with new keys, preferring elements from the buffer over creating
+                            // new ones.
+                            for (let i = 0; i < collection.length; ++i) {
+                                if (!_.isUndefined(currentElements[i])) {
+                                    continue;
+                                }
+                                if (previousElementBuffer.length > 0) {
+                                    currentElements[i] = previousElementBuffer.shift();
+                                } else {
+                                    currentElements[i] = createRepeatedElement();
+                                }
+                            }
+
+                            elementsByKey = new Map();
+                            nextElementsByKey.forEach(function (index, key) {
+                                elementsByKey.set(key, currentElements[index]);
+                            });
+
+                            // Now walk the elements in order, binding the scope values and moving any DOM element
+                            // that is not already directly after its predecessor.  Elements that kept their key are
+                            // normally assigned the same value again, so none of their watchers fire.
+                            let prevElement = startElement;
+                            for (let i = 0; i < currentElements.length; ++i) {
+                                let currentElement = currentElements[i];
+                                currentElement.scope[iterVar] = collection[i];
+                                if (!_.isNull(keyVar)) {
+                                    currentElement.scope[keyVar] = _.isNull(keys) ? indexOffset + i : keys[i];
+                                }
+                                setPositionalValues(currentElement.scope, indexOffset + i, totalLength);
+
+                                if (_.isUndefined(currentElement.element)) {
+                                    // A brand new element that still has to be cloned and linked.
+                                    linkElement(currentElement, prevElement);
+                                } else if (!currentElement.element[0].parentNode) {
+                                    // An already linked element from the shared pool.
+                                    enterElement(currentElement, prevElement);
+                                } else {
+                                    if (!currentElement.isActiveForRepeat) {
+                                        currentElement.isActiveForRepeat = true;
+                                        showElement(currentElement);
+                                    }
+                                    if (getBlockEnd(prevElement)[0].nextSibling !== currentElement.element[0]) {
+                                        moveElement(currentElement, prevElement);
+                                    }
+                                }
+                                prevElement = currentElement.element;
+                            }
+
+                            previousElements = currentElements;
+                            lastIndexOffset = indexOffset;
+                        }
+
+                        /**
+                         * Renders the items from start (inclusive) to end (exclusive) of the collection.
+                         *
+                         * @param {Array} values The values of the whole collection
+                         * @param {Array} keys The keys of the whole collection, or null if the keys are the indices
+                         * @param {Number} start The index of the first item to render
+                         * @param {Number} end The index after the last item to render
+                         */
+                        function renderSlice(values, keys, start, end) {
+                            let totalLength = values.length;
+                            if ((start !== 0) || (end !== values.length)) {
+                                values = values.slice(start, end);
+                                keys = _.isNull(keys) ? null : keys.slice(start, end);
+                            }
+                            if (_.isNull(trackByGetter)) {
+                                renderByPosition(values, keys, start, totalLength);
+                            } else {
+                                renderByKey(values, keys, start, totalLength);
+                            }
+                            limitBuffer();
+                        }
+
+                        // The state for progressive rendering.  progressiveBudget is the number of milliseconds
+                        // to spend linking new elements per frame, or null if progressive rendering is off.
+                        let progressiveBudget = null;
+                        if (hasProperty($attr, 'slyRepeatProgressive')) {
+                            progressiveBudget = isStringEmpty($attr.slyRepeatProgressive) ? DEFAULT_FRAME_BUDGET :
+                                parseCountAttribute($attr, 'slyRepeatProgressive', DEFAULT_FRAME_BUDGET);
+                        }
+                        let progressiveChunkSize = INITIAL_CHUNK_SIZE;
+                        let cancelProgressiveFrame = null;
+
+                        /**
+                         * Renders the first end items of the collection, and then schedules the rest to be
+                         * rendered in chunks on later frames.  Each chunk links as many new elements as the
+                         * progressiveBudget allows, judging by how long previous chunks took.  The
+                         * 'slyRepeatProgress' event is emitted after each chunk except the last, and the
+                         * 'slyRepeatRendered' event once all of the items are rendered.
+                         *
+                         * @param {Array} values The values of the whole collection
+                         * @param {Array} keys The keys of the whole collection, or null if the keys are the indices
+                         * @param {Number} end The number of items to render now
+                         * @param {Boolean} digestChanged If true, the scopes of the rendered elements that changed
+                         *   are digested.  This must be true when not invoked during a digest.
+                         */
+                        function renderProgressively(values, keys, end, digestChanged) {
+                            let renderedCount = previousElements.length;
+                            // Only linking new elements is expensive.  Up to this many items can be rendered
+                            // using the elements we already have.
+                            let existingCount = previousElements.length + previousElementBuffer.length;
+                            let startTime = now();
+                            renderSlice(values, keys, 0, end);
+                            if (digestChanged) {
+                                // Only the elements rendered by this chunk have changed, so we only digest them.
+                                let changedElements = previousElements.slice(renderedCount);
+                                for (let i = 0; i < changedElements.length; ++i) {
+                                    changedElements[i].scope.$digest();
+                                }
+                            }
+                            let linkedCount = end - existingCount;
+                            if (linkedCount > 0) {
+                                let costPerElement = Math.max(now() - startTime, 0.1) / linkedCount;
+                                progressiveChunkSize = Math.max(1, Math.floor(progressiveBudget / costPerElement));
+                            }
+
+                            if (end >= values.length) {
+                                $scope.$emit('slyRepeatRendered', {total: values.length});
+                                return;
+                            }
+                            $scope.$emit('slyRepeatProgress', {rendered: end, total: values.length});
+                            cancelProgressiveFrame = requestFrame(function () {
+                                cancelProgressiveFrame = null;
+                                renderProgressively(values, keys, Math.min(values.length, end + progressiveChunkSize), true);
+                            });
+                        }
+
+                        // The state for the windowed mode.  viewportSelector is null if windowed mode is off.
+                        let viewportSelector = hasProperty($attr, 'slyRepeatViewport') ? $attr.slyRepeatViewport : null;
+                        let itemHeight = null;
+                        let measuredItemHeight = null;
+                        let overscan = 5;
+                        let viewportContainer = null;
+                        let topSpacer = null;
+                        let bottomSpacer = null;
+                        // The values and keys of the whole collection.  Only set in windowed mode.
+                        let windowValues = null;
+                        let windowKeys = null;
+                        let windowStart = 0;
+                        let windowEnd = 0;
+                        let cancelWindowUpdate = null;
+
+                        if (!_.isNull(viewportSelector)) {
+                            if (isStringEmpty(viewportSelector)) {
+                                throw new Error('Empty string is illegal for value of slyRepeatViewport');
+                            }
+                            if (hasProperty($attr, 'slyRepeatItemHeight')) {
+                                itemHeight = parseFloat($attr.slyRepeatItemHeight);
+                                if (!(itemHeight > 0)) {
+                                    throw Error("slyRepeatItemHeight must be a positive number but got '" +
+                                        $attr.slyRepeatItemHeight + "'.");
+                                }
+                            }
+                            overscan = parseCountAttribute($attr, 'slyRepeatOverscan', overscan);
+                        }
+
+                        /**
+                         * @returns {Object} A new jqLite spacer element suitable for placing next to the
+                         *   repeated elements
+                         */
+                        function createSpacer() {
+                            let parentNode = $element[0].parentNode;
+                            let parentTag = parentNode ? parentNode.nodeName.toLowerCase() : '';
+                            let spacer = angular.element($document[0].createElement(SPACER_TAGS[parentTag] || 'div'));
+                            spacer.addClass('sly-repeat-spacer');
+                            spacer.css({height: '0px', margin: '0px', padding: '0px', border: '0px'});
+                            return spacer;
+                        }
+
+                        /**
+                         * Finds the viewport container and adds the spacer elements, if not already done.  This
+                         * is done lazily because the repeat might not be in the document when it is linked.
+                         */
+                        function initializeViewport() {
+                            if (!_.isNull(viewportContainer)) {
+                                return;
+                            }
+                            let parentNode = $element[0].parentNode;
+                            if (parentNode && _.isFunction(parentNode.closest)) {
+                                viewportContainer = parentNode.closest(viewportSelector);
+                            }
+                            if (!viewportContainer) {
+                                viewportContainer = $document[0].querySelector(viewportSelector);
+                            }
+                            if (!viewportContainer) {
+                                viewportContainer = null;
+                                throw Error("Could not find the slyRepeatViewport container '" + viewportSelector +
+                                    "'.  expression was " + expression);
+                            }
+                            topSpacer = createSpacer();
+                            bottomSpacer = createSpacer();
+                            $element.after(topSpacer);
+                            topSpacer.after(bottomSpacer);
+                            startElement = topSpacer;
+
+                            angular.element(viewportContainer).on('scroll', scheduleWindowUpdate);
+                            angular.element($window).on('resize', scheduleWindowUpdate);
+                        }
+
+                        /**
+                         * Renders the items that are currently visible in the viewport container, plus the
+                         * overscan, and resizes the spacers to stand in for the rest.
+                         *
+                         * @param {Boolean} force If true, renders even if the visible items have not changed
+                         * @returns {Boolean} True if anything was rendered
+                         */
+                        function renderWindow(force) {
+                            initializeViewport();
+                            let totalLength = windowValues.length;
+                            let height = itemHeight || measuredItemHeight || ESTIMATED_ITEM_HEIGHT;
+                            // The offset of the start of the list within the scrollable content of the container.
+                            let listTop = topSpacer[0].getBoundingClientRect().top -
+                                viewportContainer.getBoundingClientRect().top + viewportContainer.scrollTop;
+                            let firstVisible = Math.floor(Math.max(0, viewportContainer.scrollTop - listTop) / height);
+                            let visibleCount = Math.ceil(viewportContainer.clientHeight / height) + 1;
+                            // The scroll position may be stale if the collection just shrank.
+                            firstVisible = Math.min(firstVisible, Math.max(0, totalLength - visibleCount));
+                            let start = Math.min(totalLength, Math.max(0, firstVisible - overscan));
+                            let end = Math.min(totalLength, firstVisible + visibleCount + overscan);
+
+                            if (!force && (start === windowStart) && (end === windowEnd)) {
+                                return false;
+                            }
+                            windowStart = start;
+                            windowEnd = end;
+                            renderSlice(windowValues, windowKeys, start, end);
+                            topSpacer.css('height', (start * height) + 'px');
+                            bottomSpacer.css('height', ((totalLength - end) * height) + 'px');
+                            return true;
+                        }
+
+                        /**
+                         * Schedules an update of the rendered window for the next frame.  This is invoked on
+                         * scroll and resize, and after rendering if the item height still has to be measured.
+                         */
+                        function scheduleWindowUpdate() {
+                            if (!_.isNull(cancelWindowUpdate)) {
+                                return;
+                            }
+                            cancelWindowUpdate = requestFrame(function () {
+                                cancelWindowUpdate = null;
+                                if (_.isNull(windowValues)) {
+                                    return;
+                                }
+                                let force = false;
+                                if (_.isNull(itemHeight) && _.isNull(measuredItemHeight) && (previousElements.length > 0)) {
+                                    let height = 0;
+                                    forEachElementNode(previousElements[0], function (element) {
+                                        height += element[0].offsetHeight;
+                                    });
+                                    if (height > 0) {
+                                        measuredItemHeight = height;
+                                        force = true;
+                                    }
+                                }
+                                // Only the scope the elements' scopes are children of has to be digested to update
+                                // the recycled elements.  With a pool, this is the scope enclosing the repeat.
+                                if (renderWindow(force)) {
+                                    if ($scope.$root.$$phase) {
+                                        $scope.$evalAsync(_.noop);
+                                    } else {
+                                        elementParentScope.$digest();
+                                    }
+                                }
+                            });
+                        }
+
+                        // For anything other than an array, the collection is converted to its entries on every
+                        // digest, and currentEntries holds the most recent conversion.
+                        let collectionGetter = $parse(collectionExpr);
+                        let currentEntries = null;
+
+                        /**
+                         * The watch function for the collection.  Arrays are returned as is.  Other collections
+                         * are converted into an array of their values, or of their interleaved keys and values if
+                         * a key variable is used, so that $watchCollection detects changes to them.
+                         *
+                         * @param {Object} scope The scope being watched
+                         * @returns {Array} The array to watch
+                         */
+                        function watchCollectionEntries(scope) {
+                            let collection = collectionGetter(scope);
+                            if (!collection || _.isArray(collection)) {
+                                currentEntries = null;
+                                return collection;
+                            }
+                            currentEntries = collectionToEntries(collection, collectionExpr);
+                            if (_.isNull(keyVar)) {
+                                return currentEntries.values;
+                            }
+                            return _.flatten(_.zip(currentEntries.keys, currentEntries.values));
+                        }
+
+                        let deregisterCallback = $scope.$watchCollection(watchCollectionEntries, function (collection) {
+                            // Any progressive rendering still in progress is for an older version of the collection.
+                            if (!_.isNull(cancelProgressiveFrame)) {
+                                cancelProgressiveFrame();
+                                cancelProgressiveFrame = null;
+                            }
+                            if (!collection) {
+                                return;
+                            }
+                            let values = _.isNull(currentEntries) ? collection : currentEntries.values;
+                            let keys = _.isNull(currentEntries) ? null : currentEntries.keys;
+                            if (_.isNull(viewportSelector)) {
+                                if (_.isNull(progressiveBudget)) {
+                                    renderSlice(values, keys, 0, values.length);
+                                } else {
+                                    let existingCount = previousElements.length + previousElementBuffer.length;
+                                    renderProgressively(values, keys, Math.min(values.length,
+                                        existingCount + progressiveChunkSize), false);
+                                }
+                                return;
+                            }
+                            windowValues = values;
+                            windowKeys = keys;
+                            renderWindow(true);
+                            if (_.isNull(itemHeight) && _.isNull(measuredItemHeight)) {
+                                scheduleWindowUpdate();
+                            }
+                        });
+                        $scope.$on('$destroy', function (event) {
+                            deregisterCallback();
+                            if (!_.isNull(cancelProgressiveFrame)) {
+                                cancelProgressiveFrame();
+                                cancelProgressiveFrame = null;
+                            }
+                            if (!_.isNull(cancelIdleTrim)) {
+                                cancelIdleTrim();
+                                cancelIdleTrim = null;
+                            }
+                            // Hand all of our elements over to the shared pool, unless the scope they belong to is
+                            // being destroyed as well.
+                            if (!_.isNull(pool) && (event.targetScope === $scope)) {
+                                previousElements.concat(previousElementBuffer).forEach(releaseElement);
+                                previousElements = [];
+                                previousElementBuffer = [];
+                                elementsByKey = new Map();
+                            }
+                            if (!_.isNull(cancelWindowUpdate)) {
+                                cancelWindowUpdate();
+                                cancelWindowUpdate = null;
+                            }
+                            if (!_.isNull(viewportContainer)) {
+                                angular.element(viewportContainer).off('scroll', scheduleWindowUpdate);
+                                angular.element($window).off('resize', scheduleWindowUpdate);
+                                topSpacer.remove();
+                                bottomSpacer.remove();
+                            }
+                        });
+                    };
+                }
+            };
+        }])
+        /**
+         * Records the markup of a slyRepeat element that shares a pool, so that slyRepeat can check that all of
+         * the instances sharing the pool repeat the same template.  This runs before slyRepeat replaces the
+         * element with a comment.  The slyRepeat attributes themselves (such as the repeat expression) may
+         * differ between the instances, so they are left out.
+         */
+        .directive('slyRepeatPool', function () {
+            return {
+                restrict: 'A',
+                priority: 1001,
+                compile: function (element, attr) {
+                    let template = element[0].cloneNode(true);
+                    _.forEach(attr.$attr, function (name, normalizedName) {
+                        if (_.startsWith(normalizedName, 'slyRepeat')) {
+                            template.removeAttribute(name);
+                        }
+                    });
+                    attr.$$slyRepeatTemplate = template.outerHTML;
+                }
+            };
+        })
+        /**
+         * Provider for the slyRepeatPools service, which holds the pools of linked elements shared between
+         * slyRepeat instances.  By default, a pool keeps every element released to it.  The number of elements
+         * a pool keeps, and the number of milliseconds they are kept after the last release, may be limited for
+         * all pools or for the pool with a given name:
+         *
+         *  module.config(['slyRepeatPoolsProvider', function (slyRepeatPoolsProvider) {
+         *      slyRepeatPoolsProvider.setDefaultLimits(100, 60000);
+         *      slyRepeatPoolsProvider.setLimits('logLines', 500, null);
+         *  }]);
+         */
+        .provider('slyRepeatPools', function () {
+            let defaultLimits = {maxSize: null, timeout: null};
+            let limitsByName = {};
+
+            /**
+             * @param {Number} maxSize The most elements kept in a pool, or null for no limit
+             * @param {Number} timeout The number of milliseconds elements are kept, or null for no limit
+             * @returns {Object} The limits
+             */
+            function createLimits(maxSize, timeout) {
+                _.forEach([maxSize, timeout], function (value) {
+                    if (!_.isNull(value) && (!_.isInteger(value) || value < 0)) {
+                        throw new Error('The slyRepeat pool limits must be null or non-negative integers: \'' +
+                            value + '\'');
+                    }
+                });
+                return {maxSize: maxSize, timeout: timeout};
+            }
+
+            /**
+             * @param {Number} maxSize The most elements kept in each pool without its own limits, or null
+             * @param {Number} timeout The number of milliseconds they are kept, or null
+             */
+            this.setDefaultLimits = function (maxSize, timeout) {
+                defaultLimits = createLimits(maxSize, timeout);
+            };
+
+            /**
+             * @param {String} name The name of the pool
+             * @param {Number} maxSize The most elements kept in the pool, or null
+             * @param {Number} timeout The number of milliseconds they are kept, or null
+             */
+            this.setLimits = function (name, maxSize, timeout) {
+                if (!isStringNonempty(name)) {
+                    throw new Error("Illegal pool name for slyRepeatPools: '" + name + "'");
+                }
+                limitsByName[name] = createLimits(maxSize, timeout);
+            };
+
+            this.$get = function () {
+                // The pools, keyed by name.
+                let pools = {};
+
+                return {
+                    /**
+                     * @param {String} name The name of the pool
+                     * @returns {Object} The pool with the specified name, creating it if necessary
+                     */
+                    get: function (name) {
+                        if (!hasProperty(pools, name)) {
+                            let limits = hasProperty(limitsByName, name) ? limitsByName[name] : defaultLimits;
+                            pools[name] = {
+                                name: name,
+                                // The released elements, oldest first.
+                                elements: [],
+                                // The markup of the repeated element, set by the first instance using the pool.
+                                template: null,
+                                maxSize: limits.maxSize,
+                                timeout: limits.timeout,
+                                cancelIdleTrim: null,
+                                // The scopes that the scopes of the pool's elements are children of.
+                                parentScopes: []
+                            };
+                        }
+                        return pools[name];
+                    }
+                };
+            };
+        });
+    /**
+     * @fileoverview
+     * Defines an extension to angular.Scope that allows for registering
+     * 'gating functions' on a scope that will prevent all future watchers
+     * registered on the scope from being evaluated unless the gating function
+     * returns true.
+     *
+     * By depending on this module, the $rootScope instance and angular.Scope
+     * class are automatically extended to implement this new capability.
+     *
+     * All gates can also be paused at once with the slyGatePause service, for
+     * example while the browser tab is hidden, and watchers can be exempted
+     * from the gates of the other modules with slyGateExemptionsProvider.
+     * The number of times gated watchers are evaluated while they are still
+     * dirty is limited with slyGatedDigestProvider, and statistics about
+     * each gate may be collected with the slyDigestStats service.  The gates
+     * of a scope are described by its $getGateInfo method, and shown on the
+     * page by the slyDebug service.
+     *
+     * Warning, this implementation depends on protected/private variables
+     * in the angular.Scope implementation and therefore can break in the
+     * future due to changes in the angular.Scope implementation.  Use at
+     * your own risk.
+     */
+
+    /**
+     * The kinds of gates added by the directives in these modules, which exemptions registered with
+     * slyGateExemptionsProvider can be limited to.
+     */
+    let GATE_KINDS = ['onlyWhen', 'atMostEvery', 'on', 'idle', 'hidden', 'deferLink', 'viewport', 'repeat'];
+
+    /**
+     * The range of Angular versions the gatedScope module supports, as [major, minor] pairs.
+     */
+    let SUPPORTED_ANGULAR_VERSIONS = {min: [1, 2], max: [1, 8]};
+
+    /**
+     * Throws an error if the gatedScope module does not support the given Angular version.  Since the module
+     * depends on the private implementation of angular.Scope, it is better to fail loudly than to silently
+     * evaluate watchers incorrectly.
+     *
+     * @param {Object} version The angular.version object
+     */
+    function checkAngularVersion(version) {
+        let current = [version.major, version.minor];
+        let isBefore = function (a, b) {
+            return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+        };
+        if (isBefore(current, SUPPORTED_ANGULAR_VERSIONS.min) || isBefore(SUPPORTED_ANGULAR_VERSIONS.max, current)) {
+            throw new Error('The gatedScope module does not support Angular ' + version.full + '.  Supported ' +
+                'versions are ' + SUPPORTED_ANGULAR_VERSIONS.min.join('.') + ' through ' +
+                SUPPORTED_ANGULAR_VERSIONS.max.join('.') + '.');
+        }
+    }
+
+    defineScalyrAngularModule('gatedScope', [])
+        .config(['$provide', function ($provide) {
+            checkAngularVersion(angular.version);
+
+            // We use a decorator to override methods in $rootScope.
+            $provide.decorator('$rootScope', ['$delegate', '$exceptionHandler', '$parse', 'slyGatedDigest',
+                'slyDigestStats', 'slyGateExemptions',
+                function ($rootScope, $exceptionHandler, $parse, slyGatedDigest, slyDigestStats, slyGateExemptions) {
+
+                    // Make a copy of $rootScope's original methods so that we can access
+                    // them to invoke super methods in the ones we override.
+                    let scopePrototype = {};
+                    for (let key in $rootScope) {
+                        if (_.isFunction($rootScope[key])) {
+                            scopePrototype[key] = $rootScope[key];
+                        }
+                    }
+
+                    let Scope = $rootScope.constructor;
+
+                    /**
+                     * @returns {Array} A new, empty array to hold a scope's gated watchers, initialized the
+                     *   way Angular initializes the $$watchers array.
+                     */
+                    function createWatchersArray() {
+                        let result = [];
+                        // Angular 1.7 and later track the position of the digest loop in the array.
+                        result.$$digestWatchIndex = -1;
+                        return result;
+                    }
+
+                    // Hold all of our new methods.
+                    let methodsToAdd = {};
+
+                    // A constant value that the $digest loop implementation depends on.  We
+                    // grab it down below.
+                    let initWatchVal;
+
+                    // The watcher currently being registered through a watch delegate, if any.  See
+                    // registerDelegatedWatch.
+                    let delegatedWatch = null;
+
+                    // The number of iterations before the ttl is reached whose fired watchers are reported when
+                    // a gated digest does not stabilize.
+                    let LOGGED_ITERATIONS = 5;
+
+                    /**
+                     * @param {Boolean} isolate Whether or not the new scope should be isolated.
+                     * @param {Scope} parent The scope that will be the parent of the new scope, if not this one.
+                     *   Only supported by Angular 1.3 and later.
+                     * @returns {Scope} A new child scope
+                     */
+                    methodsToAdd.$new = function (isolate, parent) {
+                        // Because of how scope.$new works, the returned result
+                        // should already have our new methods.
+                        let result = scopePrototype.$new.call(this, isolate, parent);
+                        parent = parent || this;
+
+                        // We just have to do the work that normally a child class's
+                        // constructor would perform -- initializing our instance vars.
+                        result.$$gatingFunction = parent.$$gatingFunction;
+                        result.$$parentGatingFunction = parent.$$gatingFunction;
+                        result.$$shouldGateFunction = parent.$$shouldGateFunction;
+                        result.$$gatedWatchers = createWatchersArray();
+                        result.$$cleanUpQueue = parent.$$cleanUpQueue;
+
+                        return result;
+                    };
+
+                    /**
+                     * Digests all of the gated watchers for the specified gating function.
+                     *
+                     * @param {Function} targetGatingFunction The gating function associated
+                     *   with the watchers that should be digested
+                     * @param {Array} watchLog If given, an entry describing each watcher that fired is
+                     *   appended to it, for reporting digests that do not stabilize
+                     * @returns {Boolean} True if any of the watchers were dirty
+                     */
+                    methodsToAdd.$digestGated = function gatedScopeDigest(targetGatingFunction, watchLog) {
+                        // Note, most of this code was stolen from angular's Scope.$digest method.
+                        let watch, value,
+                            watchers,
+                            length,
+                            next, current = this, target = this, last,
+                            dirty = false;
+                        // Scalyr edit: The statistics for the gate, or null if slyDigestStats is disabled.
+                        let stats = slyDigestStats.$$enabled
+                            ? slyDigestStats.$$beginDigest(targetGatingFunction) : null;
+
+                        do { // "traverse the scopes" loop
+                            // eslint-disable-next-line no-cond-assign
+                            if (watchers = current.$$gatedWatchers) {
+                                // process our watches
+                                length = watchers.length;
+                                while (length--) {
+                                    try {
+                                        watch = watchers[length];
+                                        // Scalyr edit: We do not process a watch function if it is does not
+                                        // have the same gating function for which $digestGated was invoked.
+                                        if (watch.gatingFunction !== targetGatingFunction) {
+                                            continue;
+                                        }
+
+                                        // Since we are about to execute the watcher as part of a digestGated
+                                        // call, we can remove it from the normal digest queue if it was placed
+                                        // there because the watcher was added after the gate function's first
+                                        // evaluation.
+                                        if (watch && !_.isNull(watch.cleanUp)) {
+                                            watch.cleanUp();
+                                            watch.cleanUp = null;
+                                        }
+                                        if (stats) {
+                                            stats.evaluations++;
+                                        }
+                                        // Most common watches are on primitives, in which case we can short
+                                        // circuit it with === operator, only when === fails do we use .equals
+                                        if (watch && (value = watch.get(current)) !== (last = watch.last) &&
+                                            !(watch.eq
+                                                ? areEqual(value, last)
+                                                : (typeof value === 'number' && typeof last === 'number'
+                                                    && isNaN(value) && isNaN(last)))) {
+                                            dirty = true;
+                                            if (stats) {
+                                                stats.dirty++;
+                                            }
+                                            watch.last = watch.eq ? copy(value) : value;
+                                            watch.fn(value, ((last === initWatchVal) ? value : last), current);
+                                            // Scalyr edit:  The caller decides whether to log, since it is the one
+                                            // keeping track of the ttl.
+                                            if (watchLog) {
+                                                watchLog.push({
+                                                    expression: watch.expressionText,
+                                                    directive: watch.directiveName,
+                                                    newVal: value,
+                                                    oldVal: (last === initWatchVal) ? undefined : last
+                                                });
+                                            }
+                                        }
+                                    } catch (e) {
+                                        $exceptionHandler(e);
+                                    }
+                                }
+                            }
+
+                            // Insanity Warning: scope depth-first traversal
+                            // yes, this code is a bit crazy, but it works and we have tests to prove it!
+                            // Scalyr edit: This insanity warning was from angular.  We only modified this
+                            // code by checking the $$gatingFunction because it's a good optimization to only go
+                            // down a child of a parent that has the same gating function as what we are processing
+                            // (since if a parent already has a different gating function, there's no way any
+                            // of its children will have the right one).  The exception is a removed gating function,
+                            // which no scope has anymore, but whose watchers may still be anywhere below.
+                            if (!(next = (((current.$$gatingFunction === targetGatingFunction ||
+                                targetGatingFunction.isRemoved) && current.$$childHead)
+                                || (current !== target && current.$$nextSibling)))) {
+                                while (current !== target && !(next = current.$$nextSibling)) {
+                                    current = current.$parent;
+                                }
+                            }
+                        } while ((current = next));
+
+                        // Mark that this gating function has digested all children.
+                        targetGatingFunction.hasDigested = true;
+                        if (stats) {
+                            slyDigestStats.$$endDigest(stats);
+                        }
+                        return dirty;
+                    };
+
+                    /**
+                     * Invokes $digestGated repeatedly until the watchers are no longer dirty, the same way
+                     * $digest does for normal watchers.  If they are still dirty after the number of
+                     * iterations given by slyGatedDigestProvider.digestTtl, gives up and reports the
+                     * watchers that fired in the last iterations to $exceptionHandler.
+                     *
+                     * @param {Function} targetGatingFunction The gating function associated
+                     *   with the watchers that should be digested
+                     * @returns {Boolean} True if any of the watchers were dirty
+                     */
+                    methodsToAdd.$digestGatedLoop = function (targetGatingFunction) {
+                        let ttl = slyGatedDigest.digestTtl();
+                        let watchLog = [];
+                        let iterations = 0;
+                        let dirty, anyDirty = false;
+                        do {
+                            iterations++;
+                            dirty = this.$digestGated(targetGatingFunction,
+                                logIteration(watchLog, iterations, ttl));
+                            anyDirty = anyDirty || dirty;
+                        } while (dirty && iterations < ttl);
+
+                        if (dirty) {
+                            reportInfiniteDigest(ttl, targetGatingFunction, watchLog);
+                        }
+                        return anyDirty;
+                    };
+
+                    /**
+                     * Returns the array that the watchers firing in the given iteration of a gated digest
+                     * loop should be logged to, or undefined if the iteration need not be logged.  Like
+                     * $digest, we only log the last few iterations before the ttl is reached.
+                     *
+                     * @param {Array} watchLog The log of the digest loop, holding an array per iteration
+                     * @param {Number} iteration The number of the iteration, starting at 1
+                     * @param {Number} ttl The maximum number of iterations
+                     * @returns {Array} The array for the iteration, or undefined
+                     */
+                    function logIteration(watchLog, iteration, ttl) {
+                        if (ttl - iteration >= LOGGED_ITERATIONS) {
+                            return undefined;
+                        }
+                        let result = [];
+                        watchLog.push(result);
+                        return result;
+                    }
+
+                    /**
+                     * Reports to $exceptionHandler that the watchers of a gate are still dirty after ttl
+                     * iterations, including the watchers that fired in the logged iterations.
+                     *
+                     * @param {Number} ttl The number of iterations
+                     * @param {Function} gatingFunction The gate whose watchers did not stabilize
+                     * @param {Array} watchLog An array per logged iteration, holding the entries logged
+                     *   by $digestGated
+                     */
+                    function reportInfiniteDigest(ttl, gatingFunction, watchLog) {
+                        let iterations = _.map(watchLog, function (entries) {
+                            return _.map(entries, function (entry) {
+                                return 'exp: ' + (_.isString(entry.expression)
+                                    ? entry.expression : describeValue(entry.expression)) +
+                                    (_.isUndefined(entry.directive) ? '' : '; directive: ' + entry.directive) +
+                                    '; newVal: ' + describeValue(entry.newVal) +
+                                    '; oldVal: ' + describeValue(entry.oldVal);
+                            });
+                        });
+                        let error = new Error(ttl + ' $digest() iterations reached for watchers gated by \'' +
+                            gatingFunction.gatingFunctionName + '\'. Aborting!\n' +
+                            'Watchers fired in the last ' + watchLog.length + ' iterations: ' +
+                            angular.toJson(iterations));
+                        error.watchLog = watchLog;
+                        $exceptionHandler(error);
+                    }
+
+                    /**
+                     * @param {*} value A value logged for a watcher
+                     * @returns {String} The value as JSON, or as a string if it cannot be converted to JSON
+                     */
+                    function describeValue(value) {
+                        if (_.isFunction(value)) {
+                            return value.name ? 'function ' + value.name : 'function';
+                        }
+                        try {
+                            return angular.toJson(value);
+                        } catch (e) {
+                            return String(value);
+                        }
+                    }
+
+                    /**
+                     * @inherited $watch
+                     * @param directiveName The fourth parameter is a new optional parameter that allows
+                     *   directives aware of this abstraction to pass in their own names to identify
+                     *   which directive is registering the watch.  This is then passed to the
+                     *   shouldGateFunction to help determine if the watcher should be gated by the current
+                     *   gatingFunction.
+                     */
+                    methodsToAdd.$watch = function gatedWatch(watchExpression, listener, objectEquality, directiveName) {
+                        if (!_.isNull(delegatedWatch)) {
+                            // This watcher is being registered by the delegate of a watch expression (see below),
+                            // so it is gated the same way as that expression, and the fourth argument is
+                            // Angular's prettyPrintExpression rather than a directive name.
+                            return registerWatch(this, watchExpression, listener, objectEquality, directiveName,
+                                delegatedWatch);
+                        }
+                        let watch = describeWatch(this, watchExpression, listener, objectEquality, directiveName);
+                        if (!hasWatchDelegate(watchExpression)) {
+                            return registerWatch(this, watchExpression, listener, objectEquality, undefined, watch);
+                        }
+                        return registerDelegatedWatch(this, watch, function (scope) {
+                            return scopePrototype.$watch.call(scope, watchExpression, listener, objectEquality);
+                        });
+                    };
+
+                    /**
+                     * @inherited $watchCollection
+                     * @param directiveName The third parameter is a new optional parameter, the same as the
+                     *   fourth parameter of $watch.
+                     */
+                    methodsToAdd.$watchCollection = function gatedWatchCollection(obj, listener, directiveName) {
+                        // $watchCollection registers a function with $watch, so we decide whether to gate it here,
+                        // where the original expression is known.
+                        if (!_.isNull(delegatedWatch)) {
+                            return scopePrototype.$watchCollection.call(this, obj, listener);
+                        }
+                        let watch = describeWatch(this, obj, listener, false, directiveName);
+                        return registerDelegatedWatch(this, watch, function (scope) {
+                            return scopePrototype.$watchCollection.call(scope, obj, listener);
+                        });
+                    };
+
+                    /**
+                     * Returns true if Angular hands the watch expression to a delegate instead of registering a
+                     * watcher for it itself.  In Angular 1.3 and later, this is the case for one-time ('::')
+                     * bindings, constants, some literals and interpolations, whose delegates register their own
+                     * watchers (possibly several, through $watchGroup) by calling $watch again.
+                     *
+                     * @param {String|Function} watchExpression The expression passed to $watch
+                     * @returns {Boolean} True if the expression has a watch delegate
+                     */
+                    function hasWatchDelegate(watchExpression) {
+                        if (_.isString(watchExpression)) {
+                            return !!$parse(watchExpression).$$watchDelegate;
+                        }
+                        return _.isFunction(watchExpression) && !!watchExpression.$$watchDelegate;
+                    }
+
+                    /**
+                     * Determines whether a watch expression being registered on scope should be gated.
+                     *
+                     * @param {Scope} scope The scope the expression is registered on
+                     * @param {String|Function} watchExpression The expression passed to $watch
+                     * @param {Function} listener The listener passed to $watch
+                     * @param {Boolean} objectEquality The objectEquality passed to $watch
+                     * @param {String} directiveName The name of the directive registering the watch, if known
+                     * @returns {Object} The expression, the directive name and whether the watchers for the
+                     *   expression should be gated, as expression, directiveName and shouldGate
+                     */
+                    function describeWatch(scope, watchExpression, listener, objectEquality, directiveName) {
+                        return {
+                            expression: watchExpression,
+                            directiveName: directiveName,
+                            shouldGate: !_.isNull(scope.$$gatingFunction) && (_.isNull(scope.$$shouldGateFunction) ||
+                                scope.$$shouldGateFunction(watchExpression, listener, objectEquality, directiveName))
+                        };
+                    }
+
+                    /**
+                     * Invokes register with scope so that every watcher it causes to be registered through $watch
+                     * (such as those registered by watch delegates, or by $watchCollection) is gated and
+                     * described as given by watch.
+                     *
+                     * @param {Scope} scope The scope to register the watchers on
+                     * @param {Object} watch The description of the expression being watched from describeWatch
+                     * @param {Function} register The function invoked with scope to register the watchers
+                     * @returns {Function} The deregistration function returned by register
+                     */
+                    function registerDelegatedWatch(scope, watch, register) {
+                        delegatedWatch = watch;
+                        try {
+                            return register(scope);
+                        } finally {
+                            delegatedWatch = null;
+                        }
+                    }
+
+                    /**
+                     * Registers a watcher on scope, in its gated watchers if shouldGate is true.
+                     *
+                     * @param {Scope} scope The scope to register the watcher on
+                     * @param {String|Function} watchExpression The watchExpression for $watch
+                     * @param {Function} listener The listener for $watch
+                     * @param {Boolean} objectEquality The objectEquality for $watch
+                     * @param {String} prettyPrintExpression Angular's internal prettyPrintExpression for $watch
+                     * @param {Object} description The description of the expression being watched from
+                     *   describeWatch, which may be the expression whose delegate is registering this watcher
+                     * @returns {Function} The deregistration function for the watcher
+                     */
+                    function registerWatch(scope, watchExpression, listener, objectEquality, prettyPrintExpression,
+                                           description) {
+                        // If the expression has a delegate, it will register its own watchers through $watch again,
+                        // and those will be gated instead.
+                        if (!description.shouldGate || _.isNull(scope.$$gatingFunction) || hasWatchDelegate(watchExpression)) {
+                            return scopePrototype.$watch.call(scope, watchExpression, listener, objectEquality,
+                                prettyPrintExpression);
+                        }
+                        // We do a hack here to just switch out the watchers array with our own
+                        // gated list and then invoke the original watch function.
+                        let tmp = scope.$$watchers;
+                        scope.$$watchers = scope.$$gatedWatchers;
+                        let result;
+                        try {
+                            // Invoke original watch function.  Since the expression has no delegate, this adds
+                            // exactly one watcher to the front of the list.
+                            result = scopePrototype.$watch.call(scope, watchExpression, listener, objectEquality,
+                                prettyPrintExpression);
+                        } finally {
+                            scope.$$watchers = tmp;
+                        }
+                        scope.$$gatedWatchers[0].gatingFunction = scope.$$gatingFunction;
+                        scope.$$gatedWatchers[0].cleanUp = null;
+                        if (slyDigestStats.$$enabled) {
+                            slyDigestStats.$$forGate(scope.$$gatingFunction).registered++;
+                        }
+                        // Used to report the watcher if a gated digest does not stabilize.
+                        scope.$$gatedWatchers[0].expressionText = getWatchExpressionText(description.expression) ||
+                            description.expression;
+                        scope.$$gatedWatchers[0].directiveName = description.directiveName;
+
+                        // We know that the last field of the watcher object will be set to initWatchVal, so we
+                        // grab it here.
+                        initWatchVal = scope.$$gatedWatchers[0].last;
+                        let watch = scope.$$gatedWatchers[0];
+
+                        // We should make sure the watch expression gets evaluated fully on at least one
+                        // digest cycle even if the gate function is now closed if requested by the gating function's
+                        // value for shouldEvalNewWatchers.  We do this by adding in normal watcher that will execute
+                        // the watcher we just added and remove itself after the digest cycle completes.
+                        if (scope.$$gatingFunction.shouldEvalNewWatchers && scope.$$gatingFunction.hasDigested) {
+                            let self = scope;
+                            watch.cleanUp = scopePrototype.$watch.call(self, function () {
+                                if (!_.isNull(watch.cleanUp)) {
+                                    self.$$cleanUpQueue.unshift(watch.cleanUp);
+                                    watch.cleanUp = null;
+                                }
+                                let value;
+                                let last = initWatchVal;
+
+                                if (watch && (value = watch.get(self)) !== (last = watch.last) &&
+                                    !(watch.eq
+                                        ? areEqual(value, last)
+                                        : (typeof value === 'number' && typeof last === 'number'
+                                            && isNaN(value) && isNaN(last)))) {
+                                    watch.last = watch.eq ? copy(value) : value;
+                                    watch.fn(value, ((last === initWatchVal) ? value : last), self);
+                                }
+                                return watch.last;
+                            });
+                        }
+                        // If the gate is removed, the watcher may be moved to the scope's normal watchers (see
+                        // ungateWatcher), where the deregistration function from Angular cannot find it.
+                        let deregisterWatch = result;
+                        return function deregisterGatedWatch() {
+                            deregisterWatch();
+                            if (watch.isUngated) {
+                                removeUngatedWatcher(scope, watch);
+                            }
+                        };
+                    }
+
+                    /**
+                     * @inherited $digest
+                     */
+                    methodsToAdd.$digest = function gatedDigest() {
+                        // We have to take care if a scope's digest method was invoked that has a
+                        // gating function in the parent scope.  In this case, the watcher for that
+                        // gating function is registered in the parent (the one added in gatedWatch),
+                        // and will not be evaluated here.  So, we have to manually see if the gating
+                        // function is true and if so, evaluate any gated watchers for that function on
+                        // this scope.  This needs to happen to properly support invoking $digest on a
+                        // scope with a parent scope with a gating function.
+                        // NOTE:  It is arguable that we are not correctly handling nested gating functions
+                        // here since we do not know if the parent gating function was nested in other gating
+                        // functions and should be evaluated at all.  However, if a caller is invoking
+                        // $digest on a particular scope, we assume the caller is doing that because it
+                        // knows the watchers should be evaluated.
+                        let dirty = false;
+                        if (!_.isNull(this.$$parentGatingFunction) && this.$$parentGatingFunction()) {
+                            dirty = this.$digestGatedLoop(this.$$parentGatingFunction);
+                        }
+
+                        dirty = scopePrototype.$digest.call(this) || dirty;
+
+                        let cleanUpQueue = this.$$cleanUpQueue;
+
+                        while (cleanUpQueue.length) {
+                            try {
+                                cleanUpQueue.shift()();
+                            } catch (e) {
+                                $exceptionHandler(e);
+                            }
+                        }
+
+                        return dirty;
+                    };
+
+                    /**
+                     * Modifies this scope so that all future watchers registered by $watch will
+                     * only be evaluated if gatingFunction returns true.  Optionally, you may specify
+                     * a function that will be evaluted on every new call to $watch with the arguments
+                     * passed to it, and that watcher will only be gated if the function returns true.
+                     *
+                     * @param {Function} gatingFunction The gating function which controls whether or not all future
+                     *   watchers registered on this scope and its children will be evaluated on a given
+                     *   digest cycle.  The function will be invoked (with no arguments) on every digest
+                     *   and if it returns a truthy result, will cause all gated watchers to be evaluated.
+                     * @param {Function} shouldGateFunction The function that controls whether or not
+                     *   a new watcher will be gated using gatingFunction.  It is evaluated with the
+                     *   arguments to $watch and should return true if the watcher created by those
+                     *   arguments should be gated
+                     * @param {Boolean} shouldEvalNewWatchers If true, if a watcher is added
+                     *   after the gating function has returned true on a previous digest cycle, the
+                     *   the new watcher will be evaluated on the next digest cycle even if the
+                     *   gating function is currently return false.
+                     * @param {Object} description Optionally, information about the gate returned by
+                     *   $getGateInfo, such as the kind of the gate as kind (one of GATE_KINDS), the name of the
+                     *   directive adding it as directive, and the element it was added for (or a function
+                     *   returning it) as element.
+                     * @returns {Object} A controller for the gate, with these methods:
+                     *   - open():  Opens the gate on every digest, regardless of gatingFunction, until
+                     *     close() or reset() is called.
+                     *   - close():  Closes the gate on every digest, regardless of gatingFunction, until
+                     *     open() or reset() is called.
+                     *   - reset():  Goes back to using gatingFunction after open() or close().
+                     *   - refresh():  Opens the gate for the next digest only, triggering one if needed.
+                     *   - isOpen():  Returns true if the gate is forced open, or was open the last time it
+                     *     was checked.
+                     *   - watcherCount():  Returns the number of watchers currently gated by the gate.
+                     *   - exemptFromPause(exempt):  If exempt is true or not given, the gate keeps working
+                     *     while slyGatePause has paused the other gates.
+                     *   - remove():  Removes the gate.  Watchers added to this scope afterwards are gated
+                     *     only by the enclosing gates (if any), as they were before the gate was added, and
+                     *     the watchers the gate held are from then on evaluated whenever the enclosing gates
+                     *     are open.  If there are none, they are moved back to the normal watchers of their
+                     *     scopes (once the current digest, if any, is over) to be evaluated on every digest.
+                     *   Note, the gate can only open if the enclosing gates are open.
+                     */
+                    methodsToAdd.$addWatcherGate = function (gatingFunction, shouldGateFunction, shouldEvalNewWatchers,
+                                                             description) {
+                        let changeCount = 0;
+                        let self = this;
+                        let previousGatingFunction = this.$$gatingFunction;
+                        let previousShouldGateFunction = this.$$shouldGateFunction;
+
+                        // The state set through the controller.  forcedState is true or false while the gate is
+                        // forced open or closed, and null otherwise.
+                        let forcedState = null;
+                        let isRefreshing = false;
+                        let lastResult = false;
+
+                        // We register the gate with this wrapper of gatingFunction so that the controller can
+                        // override it.
+                        let gate = function gate() {
+                            if ($rootScope.$$gatesPaused && !gate.isExemptFromPause) {
+                                lastResult = false;
+                            } else if (gate.isRemoved || isRefreshing) {
+                                lastResult = true;
+                            } else if (!_.isNull(forcedState)) {
+                                lastResult = forcedState;
+                            } else {
+                                lastResult = !!gatingFunction();
+                            }
+                            return lastResult;
+                        };
+                        gate.isRemoved = false;
+                        // The scope the gate was added to.
+                        gate.scope = self;
+                        gate.isExemptFromPause = slyGateExemptions.isExemptFromPause(_.get(description, 'kind'));
+                        // The gating function of the gates enclosing this one, if any.
+                        gate.enclosingGatingFunction = previousGatingFunction;
+                        // Identifies the gate when its watchers do not stabilize.
+                        gate.gatingFunctionName = gatingFunction.name || 'anonymous';
+
+                        // Set a watcher that sees if our gating function is true, and if so, digests
+                        // all of our associated watchers.  Note, this.$watch could already have a
+                        // gating function associated with it, which means this watch won't be executed
+                        // unless all gating functions before us have evaluated to true.  We take special
+                        // care of this nested case below.
+
+                        // We handle nested gating function in a special way.  If we are a nested gating
+                        // function (meaning there is already one or more gating functions on this scope and
+                        // our parent scopes), then if those parent gating functions every all evaluate to
+                        // true (which we can tell if the watcher we register here is evaluated), then
+                        // we always evaluate our watcher until our gating function returns true.
+                        let hasNestedGates = !_.isNull(this.$$gatingFunction);
+                        let deregisterGateWatcher = null;
+
+                        (function () {
+                            let promotedWatcher = null;
+                            // The number of times the gated watchers were dirty during the current digest, and
+                            // the watchers that fired in the last of those times.  $digest only knows about our
+                            // watcher below, so we apply the gated ttl ourselves to be able to report the gated
+                            // watchers that did not stabilize.
+                            let dirtyIterations = 0;
+                            let watchLog = [];
 
-                            let newElements = [];
-                            if (collection.length > previousElements.length) {
-                                // Add in enough elements to account for the larger collection.
-                                for (let i = previousElements.length; i < collection.length; ++i) {
-                                    // Need to add in an element for each new item in the collection.
-                                    let newElement = {
-                                        scope: $scope.$new(),
-                                        isActiveForRepeat: true
-                                    };
+                            let digestGate = function () {
+                                let ttl = slyGatedDigest.digestTtl();
+                                if (dirtyIterations >= ttl) {
+                                    // Already reported for this digest.
+                                    return;
+                                }
+                                let iterationLog = logIteration(watchLog, dirtyIterations + 1, ttl);
+                                if (self.$digestGated(gate, iterationLog)) {
+                                    if (dirtyIterations === 0) {
+                                        self.$$postDigest(function () {
+                                            dirtyIterations = 0;
+                                            watchLog = [];
+                                        });
+                                    }
+                                    ++changeCount;
+                                    if (++dirtyIterations === ttl) {
+                                        reportInfiniteDigest(ttl, gate, watchLog);
+                                    }
+                                } else if (iterationLog) {
+                                    // Only the iterations in which the watchers fired count.
+                                    watchLog.pop();
+                                }
+                            };
 
-                                    gateWatchersForScope(newElement);
-                                    newElement.scope.$index = i;
-                                    newElement.scope.$first = (i === 0);
-                                    newElements.push(newElement);
+                            deregisterGateWatcher = self.$watch(function () {
+                                let isOpen = gate();
+                                if (slyDigestStats.$$enabled) {
+                                    slyDigestStats.$$recordCheck(gate, isOpen);
                                 }
-                                currentElements = previousElements.concat(newElements);
-                                currentElementBuffer = previousElementBuffer;
-                            } else if (collection.length < previousElements.length) {
-                                for (let i = collection.length; i < previousElements.length; ++i) {
-                                    previousElements[i].isActiveForRepeat = false;
+                                if (isOpen) {
+                                    digestGate();
+                                } else if (hasNestedGates && _.isNull(promotedWatcher)) {
+                                    promotedWatcher = scopePrototype.$watch.call(self, function () {
+                                        if (gate()) {
+                                            promotedWatcher();
+                                            promotedWatcher = null;
+                                            digestGate();
+                                        }
+                                        return changeCount;
+                                    });
                                 }
+                                return changeCount;
+                            });
+                        })();
 
-                                currentElementBuffer = previousElements.splice(collection.length, previousElements.length - collection.length).concat(
-                                    previousElementBuffer);
-                                currentElements = previousElements;
-                            } else {
-                                currentElements = previousElements;
-                                currentElementBuffer = previousElementBuffer;
-                            }
+                        if (_.isUndefined(shouldGateFunction)) {
+                            shouldGateFunction = null;
+                        }
+                        if (_.isUndefined(shouldEvalNewWatchers)) {
+                            shouldEvalNewWatchers = false;
+                        }
+                        this.$$gatingFunction = gate;
+                        this.$$gatingFunction.shouldEvalNewWatchers = shouldEvalNewWatchers;
+                        this.$$shouldGateFunction = shouldGateFunction;
 
-                            // We have to fix up the last and middle values in the scope for each element in
-                            // currentElements, since their roles may have changed with the new length.
-                            // We always have to fix the last element.
-                            if (currentElements.length > 0) {
-                                let firstIndexToFix = currentElements.length - 1;
-                                let lastIndexToFix = currentElements.length - 1;
-                                // We also have to fix any new elements that were added.
-                                if (originalPreviousElementsLength < currentElements.length) {
-                                    firstIndexToFix = originalPreviousElementsLength;
+                        let controller = {
+                            open: function () {
+                                forcedState = true;
+                                // Makes sure there is a digest to evaluate the watchers in.
+                                self.$evalAsync(_.noop);
+                            },
+                            close: function () {
+                                forcedState = false;
+                            },
+                            reset: function () {
+                                forcedState = null;
+                                self.$evalAsync(_.noop);
+                            },
+                            refresh: function () {
+                                if (isRefreshing) {
+                                    return;
                                 }
-                                // And we usually have to fix the element before the first element we modified
-                                // in case it used to be last.
-                                if (firstIndexToFix > 0) {
-                                    firstIndexToFix = firstIndexToFix - 1;
+                                isRefreshing = true;
+                                self.$$postDigest(function () {
+                                    isRefreshing = false;
+                                });
+                                self.$evalAsync(_.noop);
+                            },
+                            isOpen: function () {
+                                return gate.isRemoved || isRefreshing || (_.isNull(forcedState) ? lastResult : forcedState);
+                            },
+                            exemptFromPause: function (exempt) {
+                                gate.isExemptFromPause = (exempt !== false);
+                            },
+                            watcherCount: function () {
+                                let count = 0;
+                                forEachScope(self, function (scope) {
+                                    count += _.filter(scope.$$gatedWatchers, function (watch) {
+                                        return watch.gatingFunction === gate;
+                                    }).length;
+                                });
+                                return count;
+                            },
+                            remove: function () {
+                                if (gate.isRemoved) {
+                                    return;
                                 }
-                                for (let i = firstIndexToFix; i <= lastIndexToFix; ++i) {
-                                    currentElements[i].scope.$last = (i === (currentElements.length - 1));
-                                    currentElements[i].scope.$middle = ((i !== 0) && (i !== (currentElements.length - 1)));
-                                    if (!currentElements[i].isActiveForRepeat) {
-                                        // If it is not marked as active, make it active.  This is also indicates that
-                                        // the element is currently hidden, so we have to unhide it.
-                                        currentElements[i].isActiveForRepeat = true;
-                                        currentElements[i].element.css('display', '');
+                                // The gate stays registered, but is always open from now on.  This way, the
+                                // watchers it holds are evaluated whenever the watcher registered for the gate
+                                // above is, which is whenever the enclosing gates are open.
+                                gate.isRemoved = true;
+                                forEachScope(self, function (scope) {
+                                    if (scope.$$gatingFunction === gate) {
+                                        scope.$$gatingFunction = previousGatingFunction;
+                                        scope.$$shouldGateFunction = previousShouldGateFunction;
+                                    }
+                                    if (scope.$$parentGatingFunction === gate) {
+                                        scope.$$parentGatingFunction = previousGatingFunction;
+                                    }
+                                });
+                                if (_.isNull(previousGatingFunction)) {
+                                    // With no enclosing gates, the watchers are evaluated on every digest, so
+                                    // they can go back to the normal watchers, and the gate can go away entirely.
+                                    if ($rootScope.$$phase) {
+                                        $rootScope.$$postDigest(ungateWatchers);
+                                    } else {
+                                        ungateWatchers();
                                     }
                                 }
+                                self.$evalAsync(_.noop);
                             }
+                        };
 
-                            // Hide all elements that have recently become inactive.
-                            for (let i = 0; i < currentElementBuffer.length; ++i) {
-                                if (currentElementBuffer[i].isActiveForRepeat) {
-                                    break;
-                                }
-                                currentElementBuffer[i].element.css('display', 'none');
-                            }
+                        /**
+                         * Moves the watchers held by the removed gate to the normal watchers of their scopes,
+                         * and stops checking the gate.
+                         */
+                        function ungateWatchers() {
+                            deregisterGateWatcher();
+                            forEachScope(self, function (scope) {
+                                _.forEach(_.filter(scope.$$gatedWatchers, function (watch) {
+                                    return watch.gatingFunction === gate;
+                                }), function (watch) {
+                                    ungateWatcher(scope, watch);
+                                });
+                            });
+                        }
 
-                            // Assign the new value for the iter variable for each scope.
-                            for (let i = 0; i < currentElements.length; ++i) {
-                                currentElements[i].scope[iterVar] = collection[i];
-                            }
+                        // Keep track of the gates added to each scope, for $getGateInfo.
+                        gate.controller = controller;
+                        gate.description = description || {};
+                        if (!hasProperty(this, '$$watcherGates')) {
+                            this.$$watcherGates = [];
+                        }
+                        this.$$watcherGates.push(gate);
 
-                            // We have to go back now and clone the DOM element for any new elements we
-                            // added and link them in.  We clone the last DOM element we had created already
-                            // for this Repeat.
-                            let prevElement = $element;
-                            if (previousElements.length > 0) {
-                                prevElement = previousElements[previousElements.length - 1].element;
-                            }
-                            for (let i = 0; i < newElements.length; ++i) {
-                                linker(newElements[i].scope, function (clone) {
-                                    $animate.enter(clone, null, prevElement);
-                                    prevElement = clone;
-                                    newElements[i].element = clone;
+                        return controller;
+                    };
+
+                    /**
+                     * Returns information about the gates added to this scope with $addWatcherGate (not
+                     * including removed ones), to help find out why a watcher is not being evaluated.
+                     *
+                     * @param {Boolean} includeDescendants If true, the gates added to the descendants of this
+                     *   scope are included as well
+                     * @returns {Array} An object for each gate with these properties:
+                     *   - kind:  The kind of the gate, such as 'onlyWhen' or 'repeat', if given to
+                     *     $addWatcherGate.
+                     *   - directive:  The name of the directive that added the gate, if given.
+                     *   - element:  The element the gate was added for, if given.
+                     *   - name:  The name of the gating function.
+                     *   - isOpen:  True if the gate is open, as returned by its controller's isOpen.
+                     *   - isPaused:  True if the gate is closed because slyGatePause paused it.
+                     *   - watcherCount:  The number of watchers the gate currently holds.
+                     *   - expressions:  The watchers the gate holds, as objects with the watch expression
+                     *     as expression and the name of the directive that registered it (if known) as
+                     *     directive.
+                     *   - refresh:  A function opening the gate for the next digest only, triggering one.
+                     */
+                    methodsToAdd.$getGateInfo = function (includeDescendants) {
+                        let self = this;
+                        let gates = [];
+                        let expressionsByGate = new Map();
+                        // A single walk collects both the gates and the watchers they hold.  The walk visits
+                        // a scope before its descendants, so a gate is always known before its watchers.
+                        forEachScope(this, function (scope) {
+                            if ((includeDescendants || scope === self) && hasProperty(scope, '$$watcherGates')) {
+                                _.forEach(_.reject(scope.$$watcherGates, 'isRemoved'), function (gate) {
+                                    gates.push(gate);
+                                    expressionsByGate.set(gate, []);
                                 });
                             }
-
-                            previousElements = currentElements;
-                            previousElementBuffer = currentElementBuffer;
+                            _.forEach(scope.$$gatedWatchers, function (watch) {
+                                let expressions = expressionsByGate.get(watch.gatingFunction);
+                                if (expressions) {
+                                    expressions.push({
+                                        expression: watch.expressionText,
+                                        directive: watch.directiveName
+                                    });
+                                }
+                            });
                         });
-                        $scope.$on('$destroy', function () {
-                            deregisterCallback();
+                        return _.map(gates, function (gate) {
+                            let element = gate.description.element;
+                            let expressions = expressionsByGate.get(gate);
+                            return {
+                                kind: gate.description.kind,
+                                directive: gate.description.directive,
+                                element: _.isFunction(element) ? element() : element,
+                                name: gate.gatingFunctionName,
+                                isOpen: gate.controller.isOpen(),
+                                isPaused: !!$rootScope.$$gatesPaused && !gate.isExemptFromPause,
+                                watcherCount: expressions.length,
+                                expressions: expressions,
+                                refresh: gate.controller.refresh
+                            };
                         });
                     };
-                }
-            };
-        }]);
-    /**
-     * @fileoverview
-     * Defines an extension to angular.Scope that allows for registering
-     * 'gating functions' on a scope that will prevent all future watchers
-     * registered on the scope from being evaluated unless the gating function
-     * returns true.
-     *
-     * By depending on this module, the $rootScope instance and angular.Scope
-     * class are automatically extended to implement this new capability.
-     *
-     * Warning, this implementation depends on protected/private variables
-     * in the angular.Scope implementation and therefore can break in the
-     * future due to changes in the angular.Scope implementation.  Use at
-     * your own risk.
-     */
-    defineScalyrAngularModule('gatedScope', [])
-        .config(['$provide', function ($provide) {
-            // We use a decorator to override methods in $rootScope.
-            $provide.decorator('$rootScope', ['$delegate', '$exceptionHandler',
-                function ($rootScope, $exceptionHandler) {
 
-                    // Make a copy of $rootScope's original methods so that we can access
-                    // them to invoke super methods in the ones we override.
-                    let scopePrototype = {};
-                    for (let key in $rootScope) {
-                        if (_.isFunction($rootScope[key])) {
-                            scopePrototype[key] = $rootScope[key];
+                    /**
+                     * Moves a gated watcher of scope to its normal watchers, so that it is evaluated on every
+                     * digest.  This must not be done during a digest, since the digest loops keep track of their
+                     * positions in the arrays of watchers.
+                     *
+                     * @param {Scope} scope The scope the watcher was registered on
+                     * @param {Object} watch The watcher
+                     */
+                    function ungateWatcher(scope, watch) {
+                        _.pull(scope.$$gatedWatchers, watch);
+                        if (!_.isNull(watch.cleanUp)) {
+                            watch.cleanUp();
+                            watch.cleanUp = null;
                         }
+                        if (!scope.$$watchers) {
+                            // Angular 1.2 only creates the array with the first watcher.
+                            scope.$$watchers = createWatchersArray();
+                        }
+                        scope.$$watchers.unshift(watch);
+                        watch.gatingFunction = null;
+                        watch.isUngated = true;
                     }
 
-                    let Scope = $rootScope.constructor;
-
-                    // Hold all of our new methods.
-                    let methodsToAdd = {};
-
-                    // A constant value that the $digest loop implementation depends on.  We
-                    // grab it down below.
-                    let initWatchVal;
+                    /**
+                     * Removes a watcher moved by ungateWatcher, doing what Angular's deregistration function
+                     * would have done had it been registered as a normal watcher.
+                     *
+                     * @param {Scope} scope The scope the watcher was registered on
+                     * @param {Object} watch The watcher
+                     */
+                    function removeUngatedWatcher(scope, watch) {
+                        let watchers = scope.$$watchers;
+                        let index = watchers.indexOf(watch);
+                        if (index < 0) {
+                            return;
+                        }
+                        watchers.splice(index, 1);
+                        // Angular 1.7 and later track the position of the digest loop in the array.
+                        if (index < watchers.$$digestWatchIndex) {
+                            watchers.$$digestWatchIndex--;
+                        }
+                        // Angular 1.4 and later count the watchers of each scope and its descendants.
+                        if (_.isNumber(scope.$$watchersCount)) {
+                            for (let current = scope; current; current = current.$parent) {
+                                current.$$watchersCount--;
+                            }
+                        }
+                    }
 
                     /**
-                     * @param {Boolean} isolate Whether or not the new scope should be isolated.
-                     * @returns {Scope} A new child scope
+                     * Invokes callback with scope and each of its descendants.
+                     *
+                     * @param {Scope} scope The scope
+                     * @param {Function} callback The function to invoke with each scope
                      */
-                    methodsToAdd.$new = function (isolate) {
-                        // Because of how scope.$new works, the returned result
-                        // should already have our new methods.
-                        let result = scopePrototype.$new.call(this, isolate);
+                    function forEachScope(scope, callback) {
+                        let current = scope;
+                        let next;
+                        do {
+                            callback(current);
+                            if (!(next = (current.$$childHead || (current !== scope && current.$$nextSibling)))) {
+                                while (current !== scope && !(next = current.$$nextSibling)) {
+                                    current = current.$parent;
+                                }
+                            }
+                        } while ((current = next));
+                    }
 
-                        // We just have to do the work that normally a child class's
-                        // constructor would perform -- initializing our instance vars.
-                        result.$$gatingFunction = this.$$gatingFunction;
-                        result.$$parentGatingFunction = this.$$gatingFunction;
-                        result.$$shouldGateFunction = this.$$shouldGateFunction;
-                        result.$$gatedWatchers = [];
-                        result.$$cleanUpQueue = this.$$cleanUpQueue;
+                    // Extend the original Scope object so that when
+                    // new instances are created, it has the new methods.
+                    angular.extend(Scope.prototype, methodsToAdd);
 
-                        return result;
-                    };
+                    // Also extend the $rootScope instance since it was created
+                    // before we got a chance to extend Scope.prototype.
+                    angular.extend($rootScope, methodsToAdd);
+
+                    $rootScope.$$gatesPaused = false;
+                    $rootScope.$$gatingFunction = null;
+                    $rootScope.$$parentGatingFunction = null;
+                    $rootScope.$$shouldGateFunction = null;
+                    $rootScope.$$gatedWatchers = createWatchersArray();
+                    $rootScope.$$cleanUpQueue = [];
 
+                    return $rootScope;
+                }]);
+        }])
+        /**
+         * Provider for the slyGatedDigest service, which holds the settings for evaluating gated watchers.
+         *
+         * When a gate is open, its watchers are evaluated repeatedly until they are no longer dirty, like
+         * $digest does for normal watchers.  If they are still dirty after digestTtl iterations (10 by
+         * default), evaluation stops and an error listing the watchers that fired in the last iterations,
+         * with their values and the gating function and directive that owned them, is passed to
+         * $exceptionHandler.  For gates evaluated during a normal digest, the ttl should not be greater than
+         * the one set with $rootScopeProvider.digestTtl, or $digest will give up first.
+         *
+         *  module.config(['slyGatedDigestProvider', function (slyGatedDigestProvider) {
+         *      slyGatedDigestProvider.digestTtl(20);
+         *  }]);
+         */
+        .provider('slyGatedDigest', function () {
+            let ttl = 10;
+
+            /**
+             * @param {Number} value If given, the new maximum number of iterations of a gated digest
+             * @returns {Number} The maximum number of iterations of a gated digest
+             */
+            this.digestTtl = function (value) {
+                if (arguments.length) {
+                    if (!_.isInteger(value) || value < 1) {
+                        throw new Error('The gated digest ttl must be a positive integer: \'' + value + '\'');
+                    }
+                    ttl = value;
+                }
+                return ttl;
+            };
+
+            this.$get = function () {
+                return {
                     /**
-                     * Digests all of the gated watchers for the specified gating function.
-                     *
-                     * @param {Function} targetGatingFunction The gating function associated
-                     *   with the watchers that should be digested
-                     * @returns {Boolean} True if any of the watchers were dirty
+                     * @returns {Number} The maximum number of iterations of a gated digest
                      */
-                    methodsToAdd.$digestGated = function gatedScopeDigest(targetGatingFunction) {
-                        // Note, most of this code was stolen from angular's Scope.$digest method.
-                        let watch, value,
-                            watchers,
-                            length,
-                            next, current = this, target = this, last,
-                            dirty = false;
+                    digestTtl: function () {
+                        return ttl;
+                    }
+                };
+            };
+        })
+        /**
+         * Provider for the slyDigestStats service, which collects statistics about each gate to measure how
+         * much work the gates save.  It is disabled by default, in which case it costs nothing but a check of
+         * a flag.  It may be enabled during configuration, or at any time through the service:
+         *
+         *  module.config(['slyDigestStatsProvider', function (slyDigestStatsProvider) {
+         *      slyDigestStatsProvider.enable();
+         *      slyDigestStatsProvider.useUserTiming();
+         *  }]);
+         *
+         * The service's snapshot() returns, for each gate with statistics, the name of its gating function and:
+         *   watchers: The number of watchers evaluated the last time the gate was open.
+         *   registered: The number of watchers registered with the gate while the statistics were enabled.
+         *   checks: The number of times the gate was checked during a digest.
+         *   openings: The number of times the gate opened (was open when checked after being closed).
+         *   evaluations: The number of times its watchers were evaluated.
+         *   skipped: An estimate of the number of evaluations of its watchers avoided while it was closed.
+         *   dirty: The number of evaluations that found the watcher dirty.
+         *   dirtyRate: dirty divided by evaluations.
+         *   time: The number of milliseconds spent evaluating its watchers in $digestGated.
+         * The statistics of gates whose scopes have been destroyed are not kept for each gate (which would
+         * grow without bound as, for example, slyRepeat elements come and go), but are added up in
+         * destroyed, which also has the number of those gates as gates.  The totals include them.
+         *
+         * With useUserTiming, every evaluation of a gate's watchers is also recorded as a User Timing measure
+         * named 'sly:' followed by the name of its gating function, so that it shows in the browser's
+         * performance tools.
+         */
+        .provider('slyDigestStats', function () {
+            let enabled = false;
+            let userTiming = false;
 
-                        do { // "traverse the scopes" loop
-                            // eslint-disable-next-line no-cond-assign
-                            if (watchers = current.$$gatedWatchers) {
-                                // process our watches
-                                length = watchers.length;
-                                while (length--) {
-                                    try {
-                                        watch = watchers[length];
-                                        // Scalyr edit: We do not process a watch function if it is does not
-                                        // have the same gating function for which $digestGated was invoked.
-                                        if (watch.gatingFunction !== targetGatingFunction) {
-                                            continue;
-                                        }
+            /**
+             * @param {Boolean} value If true or not given, enables the statistics
+             */
+            this.enable = function (value) {
+                enabled = (value !== false);
+            };
 
-                                        // Since we are about to execute the watcher as part of a digestGated
-                                        // call, we can remove it from the normal digest queue if it was placed
-                                        // there because the watcher was added after the gate function's first
-                                        // evaluation.
-                                        if (watch && !_.isNull(watch.cleanUp)) {
-                                            watch.cleanUp();
-                                            watch.cleanUp = null;
-                                        }
-                                        // Most common watches are on primitives, in which case we can short
-                                        // circuit it with === operator, only when === fails do we use .equals
-                                        if (watch && (value = watch.get(current)) !== (last = watch.last) &&
-                                            !(watch.eq
-                                                ? areEqual(value, last)
-                                                : (typeof value === 'number' && typeof last === 'number'
-                                                    && isNaN(value) && isNaN(last)))) {
-                                            dirty = true;
-                                            watch.last = watch.eq ? copy(value) : value;
-                                            watch.fn(value, ((last === initWatchVal) ? value : last), current);
-                                            // Scalyr edit:  Removed the logging code for when the ttl is reached
-                                            // here because we don't have access to the ttl in this method.
-                                        }
-                                    } catch (e) {
-                                        $exceptionHandler(e);
-                                    }
-                                }
-                            }
+            /**
+             * @param {Boolean} value If true or not given, records User Timing measures
+             */
+            this.useUserTiming = function (value) {
+                userTiming = (value !== false);
+            };
+
+            this.$get = ['$window', function ($window) {
+                let performance = $window.performance;
+                let hasUserTiming = !!(performance && performance.mark && performance.measure &&
+                    performance.clearMarks);
+                // The keys of the statistics that are added up in the totals.
+                let SUMMED_KEYS = ['registered', 'checks', 'openings', 'evaluations', 'skipped', 'dirty', 'time'];
+                // The statistics of each gate since the last reset.  Gates hold their statistics in their
+                // $$digestStats property, which is ignored if it is from before the last reset.
+                let records = new Set();
+                let generation = 0;
+                // The sums of the statistics of the gates destroyed since the last reset.
+                let destroyed = createDestroyedTotals();
+
+                function now() {
+                    return (performance && performance.now) ? performance.now() : new Date().getTime();
+                }
+
+                /**
+                 * @param {Function} gate The gate
+                 * @returns {Object} The statistics for gate, created if necessary
+                 */
+                function forGate(gate) {
+                    let record = gate.$$digestStats;
+                    if (!record || record.generation !== generation) {
+                        record = gate.$$digestStats = {
+                            generation: generation,
+                            gate: gate.gatingFunctionName,
+                            registered: 0,
+                            checks: 0,
+                            openings: 0,
+                            evaluations: 0,
+                            skipped: 0,
+                            dirty: 0,
+                            time: 0,
+                            // The state used to compute the statistics above.
+                            wasOpen: false,
+                            startTime: 0,
+                            startEvaluations: 0,
+                            watchersPerEvaluation: 0
+                        };
+                        if (gate.scope.$$destroyed) {
+                            // The statistics would never be retired, so they are not kept.
+                            return record;
+                        }
+                        records.add(record);
+                        if (!gate.$$isRetiredOnDestroy) {
+                            gate.$$isRetiredOnDestroy = true;
+                            gate.scope.$on('$destroy', function () {
+                                retire(gate);
+                            });
+                        }
+                    }
+                    return record;
+                }
 
-                            // Insanity Warning: scope depth-first traversal
-                            // yes, this code is a bit crazy, but it works and we have tests to prove it!
-                            // Scalyr edit: This insanity warning was from angular.  We only modified this
-                            // code by checking the $$gatingFunction because it's a good optimization to only go
-                            // down a child of a parent that has the same gating function as what we are processing
-                            // (since if a parent already has a different gating function, there's no way any
-                            // of its children will have the right one).
-                            if (!(next = ((current.$$gatingFunction === targetGatingFunction && current.$$childHead)
-                                || (current !== target && current.$$nextSibling)))) {
-                                while (current !== target && !(next = current.$$nextSibling)) {
-                                    current = current.$parent;
-                                }
-                            }
-                        } while ((current = next));
+                /**
+                 * @returns {Object} The sums of the statistics of destroyed gates, all zero
+                 */
+                function createDestroyedTotals() {
+                    let result = {gates: 0};
+                    _.forEach(SUMMED_KEYS, function (key) {
+                        result[key] = 0;
+                    });
+                    return result;
+                }
 
-                        // Mark that this gating function has digested all children.
-                        targetGatingFunction.hasDigested = true;
-                        return dirty;
+                /**
+                 * Adds the statistics of a gate whose scope was destroyed to the destroyed totals, and
+                 * forgets them.
+                 *
+                 * @param {Function} gate The gate
+                 */
+                function retire(gate) {
+                    let record = gate.$$digestStats;
+                    gate.$$digestStats = null;
+                    if (!record || (record.generation !== generation)) {
+                        return;
+                    }
+                    records.delete(record);
+                    destroyed.gates++;
+                    _.forEach(SUMMED_KEYS, function (key) {
+                        destroyed[key] += record[key];
+                    });
+                }
+
+                /**
+                 * @param {Object} record The statistics for a gate
+                 * @returns {Object} The copy of the statistics returned by snapshot
+                 */
+                function summarize(record) {
+                    return {
+                        gate: record.gate,
+                        watchers: record.watchersPerEvaluation,
+                        registered: record.registered,
+                        checks: record.checks,
+                        openings: record.openings,
+                        evaluations: record.evaluations,
+                        skipped: record.skipped,
+                        dirty: record.dirty,
+                        dirtyRate: record.evaluations ? record.dirty / record.evaluations : 0,
+                        time: record.time
                     };
+                }
 
+                let service = {
+                    // Whether statistics are being collected.  The gatedScope module reads this on every gate
+                    // check and watcher registration, so it is kept as a property rather than behind a call.
+                    $$enabled: enabled,
                     /**
-                     * @inherited $watch
-                     * @param directiveName The fourth parameter is a new optional parameter that allows
-                     *   directives aware of this abstraction to pass in their own names to identify
-                     *   which directive is registering the watch.  This is then passed to the
-                     *   shouldGateFunction to help determine if the watcher should be gated by the current
-                     *   gatingFunction.
+                     * @returns {Boolean} True if statistics are being collected
                      */
-                    methodsToAdd.$watch = function gatedWatch(watchExpression, listener, objectEquality, directiveName) {
-                        // Determine if we should gate this watcher.
-                        if (!_.isNull(this.$$gatingFunction) && (_.isNull(this.$$shouldGateFunction) ||
-                            this.$$shouldGateFunction(watchExpression, listener, objectEquality, directiveName))) {
-                            // We do a hack here to just switch out the watchers array with our own
-                            // gated list and then invoke the original watch function.
-                            let tmp = this.$$watchers;
-                            this.$$watchers = this.$$gatedWatchers;
-                            // Invoke original watch function.
-                            let result = scopePrototype.$watch.call(this, watchExpression, listener, objectEquality);
-                            this.$$watchers = tmp;
-                            this.$$gatedWatchers[0].gatingFunction = this.$$gatingFunction;
-                            this.$$gatedWatchers[0].cleanUp = null;
-
-                            // We know that the last field of the watcher object will be set to initWatchVal, so we
-                            // grab it here.
-                            initWatchVal = this.$$gatedWatchers[0].last;
-                            let watch = this.$$gatedWatchers[0];
-
-                            // We should make sure the watch expression gets evaluated fully on at least one
-                            // digest cycle even if the gate function is now closed if requested by the gating function's
-                            // value for shouldEvalNewWatchers.  We do this by adding in normal watcher that will execute
-                            // the watcher we just added and remove itself after the digest cycle completes.
-                            if (this.$$gatingFunction.shouldEvalNewWatchers && this.$$gatingFunction.hasDigested) {
-                                let self = this;
-                                watch.cleanUp = scopePrototype.$watch.call(self, function () {
-                                    if (!_.isNull(watch.cleanUp)) {
-                                        self.$$cleanUpQueue.unshift(watch.cleanUp);
-                                        watch.cleanUp = null;
-                                    }
-                                    let value;
-                                    let last = initWatchVal;
-
-                                    if (watch && (value = watch.get(self)) !== (last = watch.last) &&
-                                        !(watch.eq
-                                            ? areEqual(value, last)
-                                            : (typeof value === 'number' && typeof last === 'number'
-                                                && isNaN(value) && isNaN(last)))) {
-                                        watch.last = watch.eq ? copy(value) : value;
-                                        watch.fn(value, ((last === initWatchVal) ? value : last), self);
-                                    }
-                                    return watch.last;
-                                });
+                    isEnabled: function () {
+                        return service.$$enabled;
+                    },
+                    /**
+                     * Starts collecting statistics.
+                     */
+                    enable: function () {
+                        service.$$enabled = true;
+                    },
+                    /**
+                     * Stops collecting statistics.  The statistics collected so far are kept.
+                     */
+                    disable: function () {
+                        service.$$enabled = false;
+                    },
+                    /**
+                     * @returns {Object} The statistics collected since the last reset, as gates, an array
+                     *   holding the statistics of each live gate, destroyed, the sums of the statistics of
+                     *   the destroyed gates, and totals, the sums of all of them
+                     */
+                    snapshot: function () {
+                        let gates = _.map(Array.from(records), summarize);
+                        let totals = {gate: null, watchers: _.sumBy(gates, 'watchers')};
+                        _.forEach(SUMMED_KEYS, function (key) {
+                            totals[key] = _.sumBy(gates, key) + destroyed[key];
+                        });
+                        totals.dirtyRate = totals.evaluations ? totals.dirty / totals.evaluations : 0;
+                        return {gates: gates, destroyed: _.clone(destroyed), totals: totals};
+                    },
+                    /**
+                     * Discards the statistics collected so far.
+                     */
+                    reset: function () {
+                        records = new Set();
+                        destroyed = createDestroyedTotals();
+                        generation++;
+                    },
+
+                    // The methods below are invoked by the gatedScope module to collect the statistics.
+
+                    $$forGate: forGate,
+                    $$recordCheck: function (gate, isOpen) {
+                        let record = forGate(gate);
+                        record.checks++;
+                        if (isOpen) {
+                            if (!record.wasOpen) {
+                                record.openings++;
                             }
-                            return result;
                         } else {
-                            return scopePrototype.$watch.call(this, watchExpression, listener, objectEquality);
+                            // The watchers were last evaluated this many times each time the gate was open.
+                            record.skipped += record.watchersPerEvaluation;
+                        }
+                        record.wasOpen = isOpen;
+                    },
+                    $$beginDigest: function (gate) {
+                        let record = forGate(gate);
+                        if (userTiming && hasUserTiming) {
+                            performance.mark('sly:' + record.gate + ':start');
                         }
+                        record.startEvaluations = record.evaluations;
+                        record.startTime = now();
+                        return record;
+                    },
+                    $$endDigest: function (record) {
+                        record.time += now() - record.startTime;
+                        record.watchersPerEvaluation = record.evaluations - record.startEvaluations;
+                        if (userTiming && hasUserTiming) {
+                            try {
+                                performance.measure('sly:' + record.gate, 'sly:' + record.gate + ':start');
+                            } catch (e) {
+                                // The start mark was cleared by someone else.
+                            }
+                            performance.clearMarks('sly:' + record.gate + ':start');
+                        }
+                    }
+                };
+                return service;
+            }];
+        })
+        /**
+         * Provider for the slyGatePause service, which pauses all gates (except those exempted with
+         * their controller's exemptFromPause, or by kind with slyGateExemptionsProvider.exemptFromPause)
+         * so that they report closed without even evaluating their gating functions.  Watchers that are
+         * not gated are not affected.  When the gates are resumed, a digest is triggered so that every
+         * region catches up.
+         *
+         * The service has pause(), resume() and isPaused() methods.  If pauseWhenDocumentHidden is
+         * called during configuration, the gates are also paused whenever document.visibilityState
+         * is 'hidden', such as when the browser tab is in the background:
+         *
+         *  module.config(['slyGatePauseProvider', function (slyGatePauseProvider) {
+         *      slyGatePauseProvider.pauseWhenDocumentHidden();
+         *  }]);
+         */
+        .provider('slyGatePause', function () {
+            let pauseWhenHidden = false;
+
+            /**
+             * @param {Boolean} enabled If true or not given, pauses the gates while the document is hidden
+             */
+            this.pauseWhenDocumentHidden = function (enabled) {
+                pauseWhenHidden = (enabled !== false);
+            };
+
+            this.$get = ['$rootScope', '$document', function ($rootScope, $document) {
+                let pausedManually = false;
+                let pausedWhileHidden = false;
+
+                function update() {
+                    let isPaused = pausedManually || pausedWhileHidden;
+                    if (isPaused === $rootScope.$$gatesPaused) {
+                        return;
+                    }
+                    $rootScope.$$gatesPaused = isPaused;
+                    if (!isPaused) {
+                        // The catch-up digest.
+                        $rootScope.$evalAsync(_.noop);
+                    }
+                }
+
+                if (pauseWhenHidden) {
+                    let onVisibilityChange = function () {
+                        pausedWhileHidden = ($document[0].visibilityState === 'hidden');
+                        update();
                     };
+                    $document.on('visibilitychange', onVisibilityChange);
+                    onVisibilityChange();
+                }
 
+                return {
                     /**
-                     * @inherited $digest
+                     * Pauses all gates until resume is called.
                      */
-                    methodsToAdd.$digest = function gatedDigest() {
-                        // We have to take care if a scope's digest method was invoked that has a
-                        // gating function in the parent scope.  In this case, the watcher for that
-                        // gating function is registered in the parent (the one added in gatedWatch),
-                        // and will not be evaluated here.  So, we have to manually see if the gating
-                        // function is true and if so, evaluate any gated watchers for that function on
-                        // this scope.  This needs to happen to properly support invoking $digest on a
-                        // scope with a parent scope with a gating function.
-                        // NOTE:  It is arguable that we are not correctly handling nested gating functions
-                        // here since we do not know if the parent gating function was nested in other gating
-                        // functions and should be evaluated at all.  However, if a caller is invoking
-                        // $digest on a particular scope, we assume the caller is doing that because it
-                        // knows the watchers should be evaluated.
-                        let dirty = false;
-                        if (!_.isNull(this.$$parentGatingFunction) && this.$$parentGatingFunction()) {
-                            let ttl = 5;
-                            do {
-                                dirty = this.$digestGated(this.$$parentGatingFunction);
-                                ttl--;
+                    pause: function () {
+                        pausedManually = true;
+                        update();
+                    },
+                    /**
+                     * Resumes the gates after pause, unless they are paused because the document is hidden.
+                     */
+                    resume: function () {
+                        pausedManually = false;
+                        update();
+                    },
+                    /**
+                     * @returns {Boolean} True if the gates are paused
+                     */
+                    isPaused: function () {
+                        return $rootScope.$$gatesPaused;
+                    }
+                };
+            }];
+        })
+        /**
+         * Provider for the slyGateExemptions service, which holds the watchers that should never be
+         * gated.  Every gate in these modules consults it before gating a new watcher, which lets
+         * directives that cannot be changed (such as Angular's or third-party directives) always
+         * be evaluated.  Exemptions may be registered for watchers by:
+         *  - exemptDirective:  The name of the directive registering them, for directives that pass
+         *    their name as the fourth argument to $watch.
+         *  - exemptExpression:  A substring or RegExp matched against their watch expression, if it is
+         *    a string or an interpolation.
+         *  - exemptWatcher:  A function taking the arguments to $watch and returning true to exempt it.
+         * Each may be given an array of the GATE_KINDS the exemption applies to, or apply to all of
+         * them by default.  Whole kinds of gates may also be exempted from slyGatePause with
+         * exemptFromPause.  For example:
+         *
+         *  module.config(['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+         *      slyGateExemptionsProvider.exemptDirective('myClock');
+         *      slyGateExemptionsProvider.exemptExpression(/^status\./, ['hidden', 'repeat']);
+         *      slyGateExemptionsProvider.exemptFromPause('viewport');
+         *  }]);
+         */
+        .provider('slyGateExemptions', function () {
+            // The registered exemptions.  Each has the array of gate kinds it applies to (or null for all of
+            // them) and the function that returns true if the watcher with the arguments to $watch is exempt.
+            let exemptions = [];
+            // The kinds of gates that keep working while slyGatePause has paused the others.
+            let kindsExemptFromPause = [];
 
-                                if (dirty && !(ttl--)) {
-                                    throw Error(ttl + ' $digest() iterations reached for gated watcher. Aborting!\n' +
-                                        'Watchers fired in the last 5 iterations.');
-                                }
-                            } while (dirty);
-                        }
+            /**
+             * @param {String|Array} kinds The kind or kinds of gates
+             * @returns {Array} The kinds, as an array
+             */
+            function checkKinds(kinds) {
+                kinds = _.castArray(kinds);
+                _.forEach(kinds, function (kind) {
+                    if (GATE_KINDS.indexOf(kind) < 0) {
+                        throw new Error("Unknown gate kind '" + kind + "'.  Must be one of: " +
+                            GATE_KINDS.join(', '));
+                    }
+                });
+                return kinds;
+            }
 
-                        dirty = scopePrototype.$digest.call(this) || dirty;
+            function addExemption(isExempt, kinds) {
+                if (!_.isUndefined(kinds) && !_.isNull(kinds)) {
+                    kinds = checkKinds(kinds);
+                } else {
+                    kinds = null;
+                }
+                exemptions.push({
+                    kinds: kinds,
+                    isExempt: isExempt
+                });
+            }
 
-                        let cleanUpQueue = this.$$cleanUpQueue;
+            /**
+             * @param {String|Array} names The name or names of the directives to exempt
+             * @param {String|Array} kinds The kind or kinds of gates to exempt them from, or all if not given
+             */
+            this.exemptDirective = function (names, kinds) {
+                names = _.castArray(names);
+                _.forEach(names, function (name) {
+                    if (!isStringNonempty(name)) {
+                        throw new Error("Illegal directive name for slyGateExemptions: '" + name + "'");
+                    }
+                });
+                addExemption(function (watchExpression, listener, objectEquality, directiveName) {
+                    return !_.isUndefined(directiveName) && (names.indexOf(directiveName) >= 0);
+                }, kinds);
+            };
 
-                        while (cleanUpQueue.length) {
-                            try {
-                                cleanUpQueue.shift()();
-                            } catch (e) {
-                                $exceptionHandler(e);
-                            }
-                        }
+            /**
+             * @param {String|RegExp} pattern The substring or regular expression to match watch expressions with
+             * @param {String|Array} kinds The kind or kinds of gates to exempt them from, or all if not given
+             */
+            this.exemptExpression = function (pattern, kinds) {
+                if (!_.isRegExp(pattern) && !isStringNonempty(pattern)) {
+                    throw new Error("Illegal expression pattern for slyGateExemptions (must be a nonempty string or " +
+                        "RegExp): '" + pattern + "'");
+                }
+                addExemption(function (watchExpression) {
+                    let text = getWatchExpressionText(watchExpression);
+                    if (!isStringNonempty(text)) {
+                        return false;
+                    }
+                    if (_.isRegExp(pattern)) {
+                        pattern.lastIndex = 0;
+                        return pattern.test(text);
+                    }
+                    return text.indexOf(pattern) >= 0;
+                }, kinds);
+            };
 
-                        return dirty;
-                    };
+            /**
+             * @param {Function} predicate The function taking the arguments to $watch (including directiveName)
+             *   and returning true if the watcher should be exempt
+             * @param {String|Array} kinds The kind or kinds of gates to exempt them from, or all if not given
+             */
+            this.exemptWatcher = function (predicate, kinds) {
+                if (!_.isFunction(predicate)) {
+                    throw new Error('The predicate for slyGateExemptions must be a function');
+                }
+                addExemption(predicate, kinds);
+            };
+
+            /**
+             * @param {String|Array} kinds The kind or kinds of gates to keep working while slyGatePause has
+             *   paused the others
+             */
+            this.exemptFromPause = function (kinds) {
+                kindsExemptFromPause = _.union(kindsExemptFromPause, checkKinds(kinds));
+            };
 
+            this.$get = function () {
+                return {
                     /**
-                     * Modifies this scope so that all future watchers registered by $watch will
-                     * only be evaluated if gatingFunction returns true.  Optionally, you may specify
-                     * a function that will be evaluted on every new call to $watch with the arguments
-                     * passed to it, and that watcher will only be gated if the function returns true.
-                     *
-                     * @param {Function} gatingFunction The gating function which controls whether or not all future
-                     *   watchers registered on this scope and its children will be evaluated on a given
-                     *   digest cycle.  The function will be invoked (with no arguments) on every digest
-                     *   and if it returns a truthy result, will cause all gated watchers to be evaluated.
-                     * @param {Function} shouldGateFunction The function that controls whether or not
-                     *   a new watcher will be gated using gatingFunction.  It is evaluated with the
-                     *   arguments to $watch and should return true if the watcher created by those
-                     *   arguments should be gated
-                     * @param {Boolean} shouldEvalNewWatchers If true, if a watcher is added
-                     *   after the gating function has returned true on a previous digest cycle, the
-                     *   the new watcher will be evaluated on the next digest cycle even if the
-                     *   gating function is currently return false.
+                     * @param {String} kind The kind of gate, one of GATE_KINDS
+                     * @param {String|Function} watchExpression The watchExpression passed to $watch
+                     * @param {Function} listener The listener passed to $watch
+                     * @param {Boolean} objectEquality The objectEquality passed to $watch
+                     * @param {String} directiveName The directiveName passed to $watch
+                     * @returns {Boolean} True if the watcher should not be gated by the kind of gate
                      */
-                    methodsToAdd.$addWatcherGate = function (gatingFunction, shouldGateFunction, shouldEvalNewWatchers) {
-                        let changeCount = 0;
-                        let self = this;
+                    isExempt: function (kind, watchExpression, listener, objectEquality, directiveName) {
+                        return _.some(exemptions, function (exemption) {
+                            return (_.isNull(exemption.kinds) || (exemption.kinds.indexOf(kind) >= 0)) &&
+                                exemption.isExempt(watchExpression, listener, objectEquality, directiveName);
+                        });
+                    },
+                    /**
+                     * @param {String} kind The kind of gate, one of GATE_KINDS, or undefined if not known
+                     * @returns {Boolean} True if the kind of gate keeps working while the gates are paused
+                     */
+                    isExemptFromPause: function (kind) {
+                        return kindsExemptFromPause.indexOf(kind) >= 0;
+                    }
+                };
+            };
+        })
+        /**
+         * Provider for the slyDebug service, which shows an overlay outlining every element with a gate
+         * in green if it is open or red if it is closed.  Each element is labeled with the kind of its gate,
+         * its state and the number of watchers it holds.  Clicking a label lists the watch expressions the
+         * gate holds and refreshes it once.  The overlay is built on Scope.$getGateInfo.
+         *
+         * The overlay may be shown from the start by enabling it during configuration:
+         *
+         *  module.config(['slyDebugProvider', function (slyDebugProvider) {
+         *      slyDebugProvider.enable();
+         *  }]);
+         *
+         * or at any time with the service's show() and hide() methods.  To toggle it from the browser's
+         * console, expose the window.slyDebug() function during configuration as well:
+         *
+         *  module.config(['slyDebugProvider', function (slyDebugProvider) {
+         *      slyDebugProvider.exposeGlobal();
+         *  }]);
+         *
+         * The overlay is redrawn at most once an animation frame, and no more often than every
+         * MIN_REDRAW_INTERVAL milliseconds, however many digests run in between.
+         */
+        .provider('slyDebug', function () {
+            let enabled = false;
+            let isGlobalExposed = false;
 
-                        // Set a watcher that sees if our gating function is true, and if so, digests
-                        // all of our associated watchers.  Note, this.$watch could already have a
-                        // gating function associated with it, which means this watch won't be executed
-                        // unless all gating functions before us have evaluated to true.  We take special
-                        // care of this nested case below.
+            /**
+             * @param {Boolean} value If true or not given, shows the overlay when the application starts
+             */
+            this.enable = function (value) {
+                enabled = (value !== false);
+            };
 
-                        // We handle nested gating function in a special way.  If we are a nested gating
-                        // function (meaning there is already one or more gating functions on this scope and
-                        // our parent scopes), then if those parent gating functions every all evaluate to
-                        // true (which we can tell if the watcher we register here is evaluated), then
-                        // we always evaluate our watcher until our gating function returns true.
-                        let hasNestedGates = !_.isNull(this.$$gatingFunction);
+            /**
+             * @param {Boolean} value If true or not given, defines window.slyDebug when the application
+             *   starts.  Calling it shows the overlay (or hides it if given false) and returns the
+             *   information about every gate, from $rootScope.$getGateInfo.
+             */
+            this.exposeGlobal = function (value) {
+                isGlobalExposed = (value !== false);
+            };
 
-                        (function () {
-                            let promotedWatcher = null;
+            this.$get = ['$rootScope', '$document', '$window', function ($rootScope, $document, $window) {
+                let MIN_REDRAW_INTERVAL = 100;
+                let OVERLAY_STYLE = {
+                    position: 'absolute',
+                    top: '0',
+                    left: '0',
+                    pointerEvents: 'none',
+                    zIndex: '2147483647',
+                    font: '11px monospace'
+                };
+                let DETAILS_STYLE = {
+                    position: 'fixed',
+                    right: '0',
+                    bottom: '0',
+                    maxWidth: '50%',
+                    maxHeight: '50%',
+                    overflow: 'auto',
+                    margin: '0',
+                    padding: '4px',
+                    background: '#fff',
+                    border: '1px solid #888',
+                    pointerEvents: 'auto',
+                    cursor: 'pointer'
+                };
 
-                            self.$watch(function () {
-                                if (gatingFunction()) {
-                                    if (self.$digestGated(gatingFunction)) {
-                                        ++changeCount;
-                                    }
-                                } else if (hasNestedGates && _.isNull(promotedWatcher)) {
-                                    promotedWatcher = scopePrototype.$watch.call(self, function () {
-                                        if (gatingFunction()) {
-                                            promotedWatcher();
-                                            promotedWatcher = null;
-                                            if (self.$digestGated(gatingFunction)) {
-                                                ++changeCount;
-                                            }
-                                        }
-                                        return changeCount;
-                                    });
-                                }
-                                return changeCount;
-                            });
-                        })();
+                // The overlay, the element holding the outlines within it, and the element listing the
+                // watch expressions of the last gate clicked, while the overlay is shown.
+                let overlay = null;
+                let outlines = null;
+                let details = null;
+                let deregisterWatch = null;
+                let isRedrawScheduled = false;
+                let lastRedrawTime = 0;
 
-                        if (_.isUndefined(shouldGateFunction)) {
-                            shouldGateFunction = null;
-                        }
-                        if (_.isUndefined(shouldEvalNewWatchers)) {
-                            shouldEvalNewWatchers = false;
+                /**
+                 * @param {Object} info The information about a gate from $getGateInfo
+                 * @returns {String} The label for the gate
+                 */
+                function describeGate(info) {
+                    return (info.kind || info.name) + ': ' + (info.isOpen ? 'open' : 'closed') +
+                        (info.isPaused ? ' (paused)' : '') + ', ' + info.watcherCount + ' watchers';
+                }
+
+                /**
+                 * Lists the watch expressions of a gate in the details element.
+                 *
+                 * @param {Object} info The information about a gate from $getGateInfo
+                 */
+                function showDetails(info) {
+                    let lines = [describeGate(info) + (info.directive ? ' (' + info.directive + ')' : '') +
+                        ', gating function ' + info.name];
+                    _.forEach(info.expressions, function (entry) {
+                        let expression = _.isFunction(entry.expression)
+                            ? 'function ' + (entry.expression.name || '') : entry.expression;
+                        lines.push('  ' + expression + (entry.directive ? '  [' + entry.directive + ']' : ''));
+                    });
+                    details.text(lines.join('\n')).css('display', 'block');
+                }
+
+                /**
+                 * Outlines each element with a gate.
+                 */
+                function redraw() {
+                    isRedrawScheduled = false;
+                    if (_.isNull(overlay)) {
+                        return;
+                    }
+                    lastRedrawTime = Date.now();
+                    let root = $document[0].documentElement;
+                    outlines.empty();
+                    _.forEach($rootScope.$getGateInfo(true), function (info) {
+                        // Repeated elements may begin with comments.
+                        let node = info.element && _.find(info.element, {nodeType: 1});
+                        if (!node || !root.contains(node)) {
+                            return;
                         }
-                        this.$$gatingFunction = gatingFunction;
-                        this.$$gatingFunction.shouldEvalNewWatchers = shouldEvalNewWatchers;
-                        this.$$shouldGateFunction = shouldGateFunction;
-                    };
+                        let rect = node.getBoundingClientRect();
+                        let color = info.isOpen ? '#2a2' : '#d22';
+                        let outline = angular.element('<div></div>').css({
+                            position: 'absolute',
+                            left: (rect.left + $window.pageXOffset) + 'px',
+                            top: (rect.top + $window.pageYOffset) + 'px',
+                            width: rect.width + 'px',
+                            height: rect.height + 'px',
+                            outline: '1px dashed ' + color
+                        });
+                        let label = angular.element('<div></div>').text(describeGate(info)).css({
+                            position: 'absolute',
+                            left: '0',
+                            top: '0',
+                            padding: '0 2px',
+                            whiteSpace: 'nowrap',
+                            color: '#fff',
+                            background: color,
+                            pointerEvents: 'auto',
+                            cursor: 'pointer'
+                        });
+                        label.on('click', function () {
+                            showDetails(info);
+                            info.refresh();
+                        });
+                        outline.append(label);
+                        outlines.append(outline);
+                    });
+                }
 
-                    // Extend the original Scope object so that when
-                    // new instances are created, it has the new methods.
-                    angular.extend(Scope.prototype, methodsToAdd);
+                /**
+                 * Redraws the overlay on the next animation frame, to batch the redraws after digests,
+                 * scrolling and resizing.  If the last redraw was less than MIN_REDRAW_INTERVAL ago, the
+                 * frame is only requested once that interval has passed.
+                 */
+                function scheduleRedraw() {
+                    if (isRedrawScheduled) {
+                        return;
+                    }
+                    isRedrawScheduled = true;
+                    let delay = Math.max(0, lastRedrawTime + MIN_REDRAW_INTERVAL - Date.now());
+                    if (delay > 0) {
+                        $window.setTimeout(requestRedrawFrame, delay);
+                    } else {
+                        requestRedrawFrame();
+                    }
+                }
 
-                    // Also extend the $rootScope instance since it was created
-                    // before we got a chance to extend Scope.prototype.
-                    angular.extend($rootScope, methodsToAdd);
+                /**
+                 * Calls redraw on the next animation frame.
+                 */
+                function requestRedrawFrame() {
+                    if ($window.requestAnimationFrame) {
+                        $window.requestAnimationFrame(redraw);
+                    } else {
+                        $window.setTimeout(redraw, 16);
+                    }
+                }
 
-                    $rootScope.$$gatingFunction = null;
-                    $rootScope.$$parentGatingFunction = null;
-                    $rootScope.$$shouldGateFunction = null;
-                    $rootScope.$$gatedWatchers = [];
-                    $rootScope.$$cleanUpQueue = [];
+                let service = {
+                    /**
+                     * Shows the overlay, which is then updated after every digest.
+                     */
+                    show: function () {
+                        if (!_.isNull(overlay)) {
+                            return;
+                        }
+                        overlay = angular.element('<div class="sly-debug-overlay"></div>').css(OVERLAY_STYLE);
+                        outlines = angular.element('<div></div>');
+                        details = angular.element('<pre></pre>').css(DETAILS_STYLE).css('display', 'none');
+                        details.on('click', function () {
+                            details.css('display', 'none');
+                        });
+                        overlay.append(outlines);
+                        overlay.append(details);
+                        angular.element($document[0].body).append(overlay);
 
-                    return $rootScope;
-                }]);
-        }]);
+                        // An ungated watcher, so we hear about every digest.
+                        deregisterWatch = $rootScope.$watch(function slyDebugWatch() {
+                            scheduleRedraw();
+                        });
+                        angular.element($window).on('scroll resize', scheduleRedraw);
+                        scheduleRedraw();
+                    },
+                    /**
+                     * Removes the overlay.
+                     */
+                    hide: function () {
+                        if (_.isNull(overlay)) {
+                            return;
+                        }
+                        deregisterWatch();
+                        angular.element($window).off('scroll resize', scheduleRedraw);
+                        overlay.remove();
+                        overlay = outlines = details = null;
+                    },
+                    /**
+                     * @returns {Boolean} True if the overlay is shown
+                     */
+                    isShown: function () {
+                        return !_.isNull(overlay);
+                    }
+                };
+
+                if (isGlobalExposed) {
+                    /**
+                     * Shows the overlay, or hides it if enabled is false.
+                     *
+                     * @param {Boolean} enabled False to hide the overlay
+                     * @returns {Array} The information about every gate, from $rootScope.$getGateInfo
+                     */
+                    $window.slyDebug = function (enabled) {
+                        if (enabled === false) {
+                            service.hide();
+                        } else {
+                            service.show();
+                        }
+                        return $rootScope.$getGateInfo(true);
+                    };
+                }
+
+                if (enabled) {
+                    service.show();
+                }
+                return service;
+            }];
+        })
+        // Create the slyGatePause service right away so it can start watching the document's visibility,
+        // and the slyDebug service so that it can show its overlay or expose window.slyDebug if configured to.
+        .run(['slyGatePause', 'slyDebug', _.noop]);
 })();
@@ -0,0 +1,450 @@
+'use strict';
+
+let _ = require('lodash');
+let assert = require('assert');
+let helpers = require('./helpers');
+
+let createApp = helpers.createApp;
+let render = helpers.render;
+let sleep = helpers.sleep;
+
+describe('gatedScope', function () {
+    _.forEach({'1.2': 'angular-1.2', '1.5': 'angular-1.5', '1.8': 'angular'}, function (angularPackage, version) {
+        describe('with AngularJS ' + version, function () {
+            it('gates interpolations, ngRepeat and exempted watchers', function () {
+                let app = createApp(null, {angular: angularPackage});
+                let scope = app.$rootScope.$new();
+                _.assign(scope, {o: 1, a: 1, b: 'x', list: [1, 2]});
+                let element = render(app, '<div sly-evaluate-only-when="o" sly-always-evaluate="b">' +
+                    '<span ng-bind="a"></span>|{{a}}|<i ng-repeat="x in list">{{x}}</i>|<span ng-bind="b"></span>' +
+                    '</div>', scope);
+                scope.$digest();
+                assert.strictEqual(element.text(), '1|1|12|x');
+
+                _.assign(scope, {a: 2, b: 'y'});
+                scope.list.push(3);
+                scope.$digest();
+                assert.strictEqual(element.text(), '1|1|12|y');
+
+                scope.o = 2;
+                scope.$digest();
+                assert.strictEqual(element.text(), '2|2|123|y');
+                assert.deepStrictEqual(app.errors, []);
+            });
+
+            it('keeps $$watchersCount in step with the gated watchers', function () {
+                let app = createApp(null, {angular: angularPackage});
+                if (_.isUndefined(app.$rootScope.$$watchersCount)) {
+                    this.skip();
+                }
+                let scope = app.$rootScope.$new();
+                _.assign(scope, {o: 1, list: [1, 2]});
+                render(app, '<div sly-evaluate-only-when="o"><i ng-repeat="x in list">{{x}}</i></div>', scope);
+                scope.$digest();
+                scope.list.push(3);
+                scope.o = 2;
+                scope.$digest();
+
+                assert.strictEqual(scope.$$watchersCount, helpers.countWatchers(scope));
+                scope.$destroy();
+                assert.strictEqual(app.$rootScope.$$watchersCount, helpers.countWatchers(app.$rootScope));
+            });
+        });
+    });
+
+    it('supports one-time bindings under gates', function () {
+        let app = createApp();
+        let scope = app.$rootScope.$new();
+        scope.o = 1;
+        let element = render(app, '<div sly-evaluate-only-when="o"><span ng-bind="::once"></span></div>', scope);
+        scope.$digest();
+
+        scope.once = 'a';
+        scope.$digest();
+        assert.strictEqual(element.text(), '');
+
+        scope.o = 2;
+        scope.$digest();
+        assert.strictEqual(element.text(), 'a');
+
+        scope.once = 'b';
+        scope.o = 3;
+        scope.$digest();
+        assert.strictEqual(element.text(), 'a');
+    });
+
+    describe('$addWatcherGate', function () {
+        it('returns a controller that forces, refreshes and reports the gate', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let isOpen = false;
+            let controller = scope.$addWatcherGate(() => isOpen);
+            let element = render(app, '<div><span ng-bind="a"></span>' +
+                '<div ng-if="true"><b ng-bind="a"></b></div></div>', scope);
+            scope.$digest();
+            assert.strictEqual(controller.watcherCount(), 2);
+            assert.strictEqual(controller.isOpen(), false);
+
+            scope.a = 2;
+            controller.refresh();
+            await sleep(10);
+            assert.strictEqual(element.text(), '22');
+
+            scope.a = 3;
+            controller.open();
+            await sleep(10);
+            assert.strictEqual(element.text(), '33');
+
+            scope.a = 4;
+            controller.close();
+            isOpen = true;
+            app.$rootScope.$digest();
+            assert.strictEqual(element.text(), '33');
+
+            controller.reset();
+            await sleep(10);
+            assert.strictEqual(element.text(), '44');
+        });
+
+        it('evaluates the watchers of a removed gate on every digest', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            let controller = scope.$addWatcherGate(() => false);
+            let child = scope.$new();
+            let values = [];
+            let deregister = child.$watch('a', (value) => values.push(value));
+            child.a = 1;
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, []);
+
+            controller.remove();
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, [1]);
+            assert.strictEqual(child.$$gatedWatchers.length, 0);
+            assert.strictEqual(controller.watcherCount(), 0);
+
+            child.a = 2;
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, [1, 2]);
+
+            deregister();
+            child.a = 3;
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, [1, 2]);
+        });
+
+        it('leaves the watchers of a removed gate under the enclosing gate', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            let isOuterOpen = true;
+            scope.$addWatcherGate(() => isOuterOpen);
+            let inner = scope.$new();
+            let controller = inner.$addWatcherGate(() => false);
+            let values = [];
+            inner.$watch('x', (value) => values.push(value));
+            app.$rootScope.$digest();
+
+            controller.remove();
+            inner.x = 1;
+            app.$rootScope.$digest();
+            isOuterOpen = false;
+            inner.x = 2;
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, [1]);
+
+            isOuterOpen = true;
+            app.$rootScope.$digest();
+            assert.deepStrictEqual(values, [1, 2]);
+        });
+    });
+
+    describe('slyGatePause', function () {
+        it('closes every gate while paused and catches up on resume', async function () {
+            let app = createApp();
+            let pause = app.injector.get('slyGatePause');
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, o: 1});
+            let element = render(app, '<div><div sly-evaluate-only-when="o"><span ng-bind="a"></span></div>|' +
+                '<i ng-bind="a"></i></div>', scope);
+            let exempt = app.$rootScope.$new();
+            exempt.$addWatcherGate(() => true).exemptFromPause();
+            let exemptCount = 0;
+            exempt.$watch('b', () => exemptCount++);
+            app.$rootScope.$digest();
+
+            pause.pause();
+            _.assign(scope, {a: 2, o: 2});
+            exempt.b = 1;
+            app.$rootScope.$digest();
+            assert.ok(pause.isPaused());
+            assert.strictEqual(element.text(), '1|2');
+            assert.strictEqual(exemptCount, 2);
+
+            pause.resume();
+            await sleep(10);
+            assert.strictEqual(element.text(), '2|2');
+        });
+
+        it('pauses while the document is hidden when configured to', function () {
+            let visibilityState = 'visible';
+            let app = createApp([['slyGatePauseProvider', function (slyGatePauseProvider) {
+                slyGatePauseProvider.pauseWhenDocumentHidden();
+            }]], {
+                setUp: function (window) {
+                    Object.defineProperty(window.document, 'visibilityState', {get: () => visibilityState});
+                }
+            });
+            let pause = app.injector.get('slyGatePause');
+            assert.ok(!pause.isPaused());
+
+            visibilityState = 'hidden';
+            app.window.document.dispatchEvent(new app.window.Event('visibilitychange'));
+            assert.ok(pause.isPaused());
+
+            visibilityState = 'visible';
+            app.window.document.dispatchEvent(new app.window.Event('visibilitychange'));
+            assert.ok(!pause.isPaused());
+        });
+
+        it('keeps kinds of gates exempted from pause working', function () {
+            let app = createApp([['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+                slyGateExemptionsProvider.exemptFromPause('onlyWhen');
+            }]]);
+            let pause = app.injector.get('slyGatePause');
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, o: 1});
+            let element = render(app, '<div><div sly-evaluate-on="go">{{a}}</div>|' +
+                '<div sly-evaluate-only-when="o">{{a}}</div></div>', scope);
+            scope.$digest();
+
+            pause.pause();
+            _.assign(scope, {a: 2, o: 2});
+            scope.$broadcast('go');
+            app.$rootScope.$digest();
+            assert.strictEqual(element.text(), '1|2');
+        });
+    });
+
+    describe('slyGateExemptions', function () {
+        it('exempts watchers from the configured kinds of gates', function () {
+            let app = createApp([['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+                slyGateExemptionsProvider.exemptExpression('clock', ['onlyWhen']);
+                slyGateExemptionsProvider.exemptExpression(/^tick/);
+            }]]);
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 1, clock: 1, tick: 1});
+            let element = render(app, '<div><div sly-evaluate-only-when="o"><span ng-bind="a"></span>' +
+                '<span ng-bind="clock"></span><span ng-bind="tick"></span></div>|' +
+                '<div sly-evaluate-at-most-every="100000"><span ng-bind="clock"></span><span ng-bind="tick"></span>' +
+                '</div></div>', scope);
+            scope.$digest();
+
+            _.assign(scope, {a: 2, clock: 2, tick: 2});
+            scope.$digest();
+            assert.strictEqual(element.text(), '122|12');
+        });
+
+        it('exempts watchers matching a predicate', function () {
+            let app = createApp([['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+                slyGateExemptionsProvider.exemptWatcher(function (watchExpression, listener, equality, directiveName) {
+                    return directiveName === 'myDirective';
+                });
+            }]]);
+            let scope = app.$rootScope.$new();
+            scope.$addWatcherGate(function () {
+                return false;
+            }, function (watchExpression, listener, equality, directiveName) {
+                return !app.injector.get('slyGateExemptions').isExempt('onlyWhen', watchExpression, listener, equality,
+                    directiveName);
+            });
+            let values = [];
+            scope.$watch('a', (value) => values.push(value), false, 'myDirective');
+            scope.$watch('a', (value) => values.push('gated'));
+            scope.a = 1;
+            app.$rootScope.$digest();
+
+            assert.deepStrictEqual(values, [1]);
+        });
+
+        it('rejects unknown kinds of gates', function () {
+            assert.throws(function () {
+                createApp([['slyGateExemptionsProvider', function (slyGateExemptionsProvider) {
+                    slyGateExemptionsProvider.exemptDirective('clock', ['bogus']);
+                }]]);
+            }, /Unknown gate kind 'bogus'/);
+        });
+    });
+
+    describe('slyGatedDigest', function () {
+        it('reports the watchers of a gate that do not stabilize', function () {
+            let app = createApp([['slyGatedDigestProvider', function (slyGatedDigestProvider) {
+                slyGatedDigestProvider.digestTtl(4);
+            }]]);
+            let scope = app.$rootScope.$new();
+            scope.$addWatcherGate(function myGate() {
+                return true;
+            });
+            scope.a = 0;
+            scope.$watch('a', function () {
+                scope.a++;
+            }, false, 'myDirective');
+            app.$rootScope.$digest();
+
+            assert.strictEqual(scope.a, 4);
+            assert.strictEqual(app.errors.length, 1);
+            assert.match(app.errors[0].message, /^4 \$digest\(\) iterations reached for watchers gated by 'myGate'/);
+            assert.match(app.errors[0].message, /exp: a; directive: myDirective; newVal: 3; oldVal: 2/);
+        });
+
+        it('rejects a TTL that is not a positive integer', function () {
+            assert.throws(function () {
+                createApp([['slyGatedDigestProvider', function (slyGatedDigestProvider) {
+                    slyGatedDigestProvider.digestTtl(0);
+                }]]);
+            }, /positive integer/);
+        });
+    });
+
+    describe('slyDigestStats', function () {
+        it('records nothing until enabled', function () {
+            let app = createApp();
+            let stats = app.injector.get('slyDigestStats');
+            let scope = app.$rootScope.$new();
+            scope.o = 1;
+            render(app, '<div sly-evaluate-only-when="o">{{a}}</div>', scope);
+            scope.$digest();
+
+            assert.strictEqual(stats.isEnabled(), false);
+            assert.strictEqual(stats.snapshot().gates.length, 0);
+        });
+
+        it('counts the checks, openings and evaluations of each gate', function () {
+            let app = createApp();
+            let stats = app.injector.get('slyDigestStats');
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 1});
+            render(app, '<div sly-evaluate-only-when="o"><span ng-bind="a"></span>{{a + 1}}</div>', scope);
+            scope.$digest();
+            stats.enable();
+
+            scope.a = 2;
+            app.$rootScope.$digest();
+            scope.o = 2;
+            app.$rootScope.$digest();
+
+            let gate = stats.snapshot().gates[0];
+            assert.strictEqual(gate.gate, 'evaluteOnlyWhenChecker');
+            assert.strictEqual(gate.watchers, 2);
+            assert.strictEqual(gate.openings, 1);
+            assert.strictEqual(gate.evaluations, 2);
+            assert.strictEqual(gate.dirty, 2);
+            assert.ok(gate.checks > gate.openings);
+
+            stats.reset();
+            assert.strictEqual(stats.snapshot().gates.length, 0);
+        });
+
+        it('folds the statistics of destroyed gates into the totals', function () {
+            let app = createApp([['slyDigestStatsProvider', function (slyDigestStatsProvider) {
+                slyDigestStatsProvider.enable();
+            }]]);
+            let stats = app.injector.get('slyDigestStats');
+            let scope = app.$rootScope.$new();
+            scope.items = [1, 2, 3];
+            render(app, '<div><p sly-repeat="x in items track by x" sly-repeat-max-buffer="0">{{x}}</p></div>', scope);
+            for (let i = 0; i < 20; i++) {
+                scope.items = [i * 3, i * 3 + 1, i * 3 + 2];
+                scope.$digest();
+            }
+            let checks = stats.snapshot().totals.checks;
+            assert.strictEqual(stats.snapshot().gates.length, 3);
+
+            scope.$destroy();
+            let snapshot = stats.snapshot();
+            assert.strictEqual(snapshot.gates.length, 0);
+            assert.strictEqual(snapshot.destroyed.gates, 3);
+            assert.strictEqual(snapshot.totals.checks, checks);
+        });
+    });
+
+    describe('slyDebug', function () {
+        /**
+         * @param {Object} app The application from createApp
+         * @returns {Object} The element of a region gated by slyEvaluateOnlyWhen, attached to the document
+         */
+        function renderGatedRegion(app) {
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 'A'});
+            let element = render(app, '<div sly-evaluate-only-when="o"><b ng-bind="a"></b></div>', scope);
+            scope.$digest();
+            return element;
+        }
+
+        it('describes the gates with $getGateInfo', function () {
+            let app = createApp();
+            let element = renderGatedRegion(app);
+
+            let info = app.$rootScope.$getGateInfo(true);
+            assert.strictEqual(info.length, 1);
+            assert.strictEqual(info[0].kind, 'onlyWhen');
+            assert.strictEqual(info[0].directive, 'slyEvaluateOnlyWhen');
+            assert.strictEqual(info[0].element[0], element[0]);
+            assert.strictEqual(info[0].isOpen, false);
+            assert.strictEqual(info[0].watcherCount, 1);
+            assert.deepStrictEqual(_.map(info[0].expressions, 'expression'), ['a']);
+            assert.strictEqual(app.$rootScope.$getGateInfo().length, 0);
+        });
+
+        it('outlines every gated element while shown', async function () {
+            let app = createApp();
+            renderGatedRegion(app);
+            let debug = app.injector.get('slyDebug');
+
+            debug.show();
+            await sleep(50);
+            let overlay = app.window.document.querySelector('.sly-debug-overlay');
+            assert.strictEqual(overlay.firstChild.children.length, 1);
+            assert.strictEqual(overlay.firstChild.textContent, 'onlyWhen: closed, 1 watchers');
+
+            debug.hide();
+            assert.strictEqual(app.window.document.querySelector('.sly-debug-overlay'), null);
+        });
+
+        it('throttles the redraws of the overlay', async function () {
+            let app = createApp();
+            renderGatedRegion(app);
+            let debug = app.injector.get('slyDebug');
+            let redraws = 0;
+            let getGateInfo = app.$rootScope.$getGateInfo;
+            app.$rootScope.$getGateInfo = function () {
+                redraws++;
+                return getGateInfo.apply(this, arguments);
+            };
+
+            debug.show();
+            for (let i = 0; i < 30; i++) {
+                app.$rootScope.$digest();
+                await sleep(5);
+            }
+            await sleep(150);
+            debug.hide();
+
+            assert.ok(redraws > 0 && redraws <= 5, 'redrawn ' + redraws + ' times');
+        });
+
+        it('only defines window.slyDebug when configured to', function () {
+            assert.strictEqual(createApp().window.slyDebug, undefined);
+
+            let app = createApp([['slyDebugProvider', function (slyDebugProvider) {
+                slyDebugProvider.exposeGlobal();
+            }]]);
+            renderGatedRegion(app);
+            assert.strictEqual(app.window.slyDebug().length, 1);
+            assert.ok(app.injector.get('slyDebug').isShown());
+
+            app.window.slyDebug(false);
+            assert.ok(!app.injector.get('slyDebug').isShown());
+        });
+    });
+});
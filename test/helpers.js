@@ -0,0 +1,154 @@
+'use strict';
+
+let fs = require('fs');
+let path = require('path');
+let JSDOM = require('jsdom').JSDOM;
+
+/**
+ * @param {String} name The name of an installed package
+ * @param {String} file The file within the package
+ * @returns {String} The contents of the file
+ */
+function readPackageFile(name, file) {
+    return fs.readFileSync(path.join(path.dirname(require.resolve(name + '/package.json')), file), 'utf8');
+}
+
+/**
+ * Creates a browser window with lodash, AngularJS and scalyr.js loaded into it.
+ *
+ * @param {Object} options The options, which may be:
+ *   - angular:  The name of the package to load AngularJS from, 'angular' by default.  The
+ *     'angular-1.2' and 'angular-1.5' packages hold older versions.
+ *   - jquery:  If true, jQuery is loaded before AngularJS.
+ *   - animate:  If true, ngAnimate is loaded as well.
+ *   - setUp:  A function called with the window before AngularJS is loaded.
+ * @returns {Window} The window
+ */
+function createWindow(options) {
+    options = options || {};
+    let dom = new JSDOM('<!doctype html><html><body></body></html>', {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    let window = dom.window;
+    let angularPackage = options.angular || 'angular';
+    if (options.setUp) {
+        options.setUp(window);
+    }
+    if (options.jquery) {
+        window.eval(readPackageFile('jquery', 'dist/jquery.js'));
+    }
+    window.eval(readPackageFile('lodash', 'lodash.js'));
+    window.eval(readPackageFile(angularPackage, 'angular.js'));
+    if (options.animate) {
+        window.eval(readPackageFile('angular-animate', 'angular-animate.js'));
+    }
+    window.eval(fs.readFileSync(path.join(__dirname, '..', 'scalyr.js'), 'utf8'));
+    return window;
+}
+
+/**
+ * Creates an application using the sly module in a new window.  The errors passed to
+ * $exceptionHandler are collected rather than thrown.
+ *
+ * @param {Array} configFns Injectable functions run during configuration, such as
+ *   ['slyVisibilityProvider', function (slyVisibilityProvider) { ... }]
+ * @param {Object} options The options for createWindow, and modules, the names of
+ *   additional modules to load
+ * @returns {Object} The window, injector, $rootScope, $compile and the errors passed to
+ *   $exceptionHandler
+ */
+function createApp(configFns, options) {
+    options = options || {};
+    let window = createWindow(options);
+    let errors = [];
+    let modules = ['ng'].concat(options.modules || []);
+    modules.push('sly', ['$provide', function ($provide) {
+        $provide.value('$exceptionHandler', function (error) {
+            errors.push(error);
+        });
+    }]);
+    modules.push.apply(modules, configFns || []);
+    let rootElement = window.document.createElement('div');
+    window.document.body.appendChild(rootElement);
+    let injector = window.angular.bootstrap(rootElement, modules);
+    return {
+        window: window,
+        angular: window.angular,
+        injector: injector,
+        $rootScope: injector.get('$rootScope'),
+        $compile: injector.get('$compile'),
+        rootElement: rootElement,
+        errors: errors
+    };
+}
+
+/**
+ * Compiles and links html against scope and attaches the result to the document.
+ *
+ * @param {Object} app The application from createApp
+ * @param {String} html The template
+ * @param {Object} scope The scope to link to, a new child of $rootScope by default
+ * @returns {Object} The linked element
+ */
+function render(app, html, scope) {
+    let element = app.$compile(html)(scope || app.$rootScope.$new());
+    app.rootElement.appendChild(element[0]);
+    return element;
+}
+
+/**
+ * @param {Object} element The element whose children to list
+ * @returns {Array} The text of each child of element that is not hidden with display: none
+ */
+function shownTexts(element) {
+    return Array.prototype.filter.call(element[0].children, function (child) {
+        return child.style.display !== 'none';
+    }).map(function (child) {
+        return child.textContent;
+    });
+}
+
+/**
+ * @param {Number} ms The number of milliseconds to wait
+ * @returns {Promise} A promise resolved after ms milliseconds
+ */
+function sleep(ms) {
+    return new Promise(function (resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * @param {Object} scope The scope to start at
+ * @returns {Number} The number of watchers, gated or not, on scope and its descendants
+ */
+function countWatchers(scope) {
+    let count = (scope.$$watchers || []).length + (scope.$$gatedWatchers || []).length;
+    for (let child = scope.$$childHead; child; child = child.$$nextSibling) {
+        count += countWatchers(child);
+    }
+    return count;
+}
+
+/**
+ * @param {Object} scope The scope to start at
+ * @returns {Number} The number of descendants of scope
+ */
+function countScopes(scope) {
+    let count = 0;
+    for (let child = scope.$$childHead; child; child = child.$$nextSibling) {
+        count += 1 + countScopes(child);
+    }
+    return count;
+}
+
+module.exports = {
+    createWindow: createWindow,
+    createApp: createApp,
+    render: render,
+    shownTexts: shownTexts,
+    sleep: sleep,
+    countWatchers: countWatchers,
+    countScopes: countScopes
+};
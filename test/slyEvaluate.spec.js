@@ -0,0 +1,515 @@
+'use strict';
+
+let _ = require('lodash');
+let assert = require('assert');
+let helpers = require('./helpers');
+
+let createApp = helpers.createApp;
+let render = helpers.render;
+let sleep = helpers.sleep;
+
+// jsdom does no layout, so visibility is determined by the ng-hide class in these tests.
+let USE_NG_HIDE = ['slyVisibilityProvider', function (slyVisibilityProvider) {
+    slyVisibilityProvider.setStrategy('ngHide');
+}];
+
+describe('slyEvaluate', function () {
+    describe('slyEvaluateOnlyWhen', function () {
+        it('only evaluates the bindings when the reference changes by default', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.list = [1];
+            scope.label = 'a';
+            let element = render(app, '<div sly-evaluate-only-when="list"><span ng-bind="label"></span></div>', scope);
+            scope.$digest();
+
+            scope.label = 'b';
+            scope.list.push(2);
+            scope.$digest();
+            assert.strictEqual(element.text(), 'a');
+
+            scope.list = [1, 2];
+            scope.$digest();
+            assert.strictEqual(element.text(), 'b');
+        });
+
+        _.forEach({
+            value: {initial: new Date(5), same: new Date(5), changed: new Date(6)},
+            collection: {initial: [1], same: [1], changed: [1, 2]},
+            deep: {initial: [1, [2]], same: [1, [2]], changed: [1, [3]]}
+        }, function (values, comparison) {
+            it('compares with sly-evaluate-comparison="' + comparison + '"', function () {
+                let app = createApp();
+                let scope = app.$rootScope.$new();
+                scope.value = values.initial;
+                scope.label = 'a';
+                let element = render(app, '<div sly-evaluate-only-when="value" ' +
+                    'sly-evaluate-comparison="' + comparison + '"><span ng-bind="label"></span></div>', scope);
+                scope.$digest();
+
+                scope.label = 'b';
+                scope.value = values.same;
+                scope.$digest();
+                assert.strictEqual(element.text(), 'a');
+
+                scope.value = values.changed;
+                scope.$digest();
+                assert.strictEqual(element.text(), 'b');
+            });
+        });
+
+        it('rejects unknown comparisons', function () {
+            let app = createApp();
+            render(app, '<div sly-evaluate-only-when="x" sly-evaluate-comparison="bogus"></div>');
+
+            assert.strictEqual(app.errors.length, 1);
+            assert.match(app.errors[0].message, /Unknown value 'bogus' for slyEvaluateComparison/);
+        });
+    });
+
+    describe('slyEvaluateOnlyWhen with an array literal', function () {
+        it('evaluates the bindings when any element of an array literal changes', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, query: 'x', range: 1});
+            let element = render(app, '<div sly-evaluate-only-when="[query, range]"><span ng-bind="a"></span></div>',
+                scope);
+            scope.$digest();
+
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            scope.query = 'y';
+            scope.$digest();
+            assert.strictEqual(element.text(), '2');
+        });
+    });
+
+    describe('slyEvaluateOnlyWhenAll', function () {
+        it('evaluates the bindings once every element of the array literal has changed', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, query: 'x', range: 1});
+            let element = render(app, '<div sly-evaluate-only-when-all="[query, range]">' +
+                '<span ng-bind="a"></span></div>', scope);
+            scope.$digest();
+
+            scope.a = 2;
+            scope.query = 'y';
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            scope.range = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '2');
+        });
+    });
+
+    describe('slyAlwaysEvaluate', function () {
+        it('exempts the expressions containing the substring', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 'a', b: 'b'});
+            let element = render(app, '<div sly-evaluate-only-when="o" sly-always-evaluate="b">' +
+                '<span ng-bind="a"></span>|<span ng-bind="b"></span></div>', scope);
+            scope.$digest();
+
+            scope.a = 'A';
+            scope.b = 'B';
+            scope.$digest();
+            assert.strictEqual(element.text(), 'a|B');
+        });
+
+        it('treats a value without the list: prefix as a substring', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 'a', list: ['x']});
+            let element = render(app, '<div sly-evaluate-only-when="o" sly-always-evaluate="[0]">' +
+                '<span ng-bind="a"></span>|<span ng-bind="list[0]"></span></div>', scope);
+            scope.$digest();
+
+            scope.a = 'A';
+            scope.list = ['y'];
+            scope.$digest();
+            assert.strictEqual(element.text(), 'a|y');
+        });
+
+        it('matches lists of substrings, regular expressions and directive names', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {o: 1, a: 'a', b: 'b', status: {x: 'x'}, show: true});
+            let element = render(app, '<div sly-evaluate-only-when="o" ' +
+                'sly-always-evaluate="list:[\'b\', \'/^status\\\\./\', \'directive:slyShow\']">' +
+                '<span ng-bind="a"></span>|<span ng-bind="b"></span>|<span ng-bind="status.x"></span>' +
+                '<i sly-show="show"></i></div>', scope);
+            scope.$digest();
+
+            _.assign(scope, {a: 'A', b: 'B', show: false});
+            scope.status.x = 'X';
+            scope.$digest();
+            assert.strictEqual(element.text(), 'a|B|X');
+            assert.ok(element.find('i').hasClass('ng-hide'));
+        });
+
+        it('rejects invalid lists', function () {
+            _.forEach(['list:[]', 'list:[\'\']', 'list:[1]', 'list:[\'directive:\']', 'list:[\'/(/\']'],
+                function (value) {
+                    let app = createApp();
+                    render(app, '<div sly-evaluate-only-when="o" sly-always-evaluate="' + value + '"></div>');
+
+                    assert.strictEqual(app.errors.length, 1, value);
+                });
+        });
+    });
+
+    describe('slyEvaluateWhenInViewport', function () {
+        it('only evaluates the bindings while the element intersects the container', async function () {
+            let observers = [];
+            let app = createApp();
+            app.window.IntersectionObserver = function (callback, options) {
+                this.callback = callback;
+                this.options = options;
+                this.isDisconnected = false;
+                observers.push(this);
+            };
+            app.window.IntersectionObserver.prototype.observe = _.noop;
+            app.window.IntersectionObserver.prototype.disconnect = function () {
+                this.isDisconnected = true;
+            };
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let container = app.angular.element('<div class="scroller"></div>');
+            app.angular.element(app.rootElement).append(container);
+            let element = app.$compile('<div sly-evaluate-when-in-viewport=".scroller" ' +
+                'sly-viewport-root-margin="100px"><span ng-bind="a"></span></div>')(scope);
+            container.append(element);
+            scope.$digest();
+
+            let observer = observers[0];
+            assert.strictEqual(observer.options.root, container[0]);
+            assert.strictEqual(observer.options.rootMargin, '100px');
+            assert.strictEqual(element.text(), '1');
+
+            observer.callback([{isIntersecting: false, intersectionRatio: 0}]);
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            observer.callback([{isIntersecting: true, intersectionRatio: 1}]);
+            await sleep(20);
+            assert.strictEqual(element.text(), '2');
+
+            scope.$destroy();
+            assert.ok(observer.isDisconnected);
+        });
+    });
+
+    describe('preventEvaluationWhenHidden', function () {
+        let TEMPLATE = '<div><div class="wrapper"><div prevent-evaluation-when-hidden data-shown="yes">' +
+            '<span ng-bind="a"></span></div></div></div>';
+
+        /**
+         * @param {*} strategy The visibility strategy to use
+         * @param {Object} options The options for createApp
+         * @returns {String} The text of TEMPLATE after a change to the binding
+         */
+        function renderWithStrategy(strategy, options) {
+            let app = createApp([['slyVisibilityProvider', function (slyVisibilityProvider) {
+                slyVisibilityProvider.setStrategy(strategy);
+            }]], options);
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, TEMPLATE, scope);
+            scope.$digest();
+            scope.a = 2;
+            scope.$digest();
+            return element.text();
+        }
+
+        it('supports pluggable visibility strategies', function () {
+            assert.strictEqual(renderWithStrategy('ngHide'), '2');
+            // jsdom does no layout, so everything is hidden by the layout and jquery strategies.
+            assert.strictEqual(renderWithStrategy('layout'), '1');
+            assert.strictEqual(renderWithStrategy('jquery', {jquery: true}), '1');
+            assert.strictEqual(renderWithStrategy(function (element) {
+                return element.attr('data-shown') === 'yes';
+            }), '2');
+        });
+
+        it('requires jQuery for the jquery strategy', function () {
+            assert.throws(function () {
+                renderWithStrategy('jquery');
+            });
+        });
+
+        it('does not evaluate the bindings while an ancestor has the ng-hide class', function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, hide: false});
+            let element = render(app, '<div><div ng-show="!hide"><div prevent-evaluation-when-hidden>' +
+                '<span ng-bind="a"></span></div></div></div>', scope);
+            scope.$digest();
+
+            scope.hide = true;
+            scope.$digest();
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            scope.hide = false;
+            scope.$digest();
+            scope.$digest();
+            assert.strictEqual(element.text(), '2');
+        });
+    });
+
+    describe('slyShow, slyHide, slyIf and slySwitch', function () {
+        it('gate the preventEvaluationWhenHidden directives they hide', async function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, show: true, tab: 'x'});
+            let element = render(app, '<div>' +
+                '<div sly-show="show" prevent-evaluation-when-hidden><span class="show" ng-bind="a"></span></div>' +
+                '<div sly-hide="!show" prevent-evaluation-when-hidden><span class="hide" ng-bind="a"></span></div>' +
+                '<div sly-if="show"><span class="if" ng-bind="a"></span></div>' +
+                '<div sly-switch="tab"><div sly-switch-when="x"><span class="when" ng-bind="a"></span></div>' +
+                '<div sly-switch-default><span class="default" ng-bind="a"></span></div></div></div>', scope);
+            let text = function (selector) {
+                let node = element[0].querySelector(selector);
+                return node && node.textContent;
+            };
+            scope.$digest();
+
+            scope.show = false;
+            scope.tab = 'y';
+            scope.$digest();
+            assert.ok(element.children().eq(0).hasClass('ng-hide'));
+            assert.ok(element.children().eq(1).hasClass('ng-hide'));
+            assert.strictEqual(text('.if'), null);
+            assert.strictEqual(text('.when'), null);
+            assert.strictEqual(text('.default'), '1');
+
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(text('.show'), '1');
+            assert.strictEqual(text('.hide'), '1');
+
+            // Showing them again triggers a follow-up digest, once the ng-hide class is removed.
+            scope.$apply('show = true');
+            await sleep(10);
+            assert.strictEqual(text('.show'), '2');
+            assert.strictEqual(text('.hide'), '2');
+            assert.strictEqual(text('.if'), '2');
+        });
+
+        it('do not reveal an element hidden by an inner ngShow', function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, '<div sly-show="true"><div ng-show="false">' +
+                '<div prevent-evaluation-when-hidden>{{a}}</div></div></div>', scope);
+            scope.$digest();
+
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+        });
+    });
+
+    describe('slyEvaluateAtMostEvery', function () {
+        it('throttles the evaluation of the bindings', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, '<div sly-evaluate-at-most-every="100"><span ng-bind="a"></span></div>', scope);
+            scope.$digest();
+
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            await sleep(200);
+            assert.strictEqual(element.text(), '2');
+        });
+
+        it('debounces the evaluation of the bindings with sly-evaluate-debounce', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, '<div sly-evaluate-at-most-every="60" sly-evaluate-debounce>' +
+                '<span ng-bind="a"></span></div>', scope);
+            scope.$digest();
+
+            for (let i = 2; i <= 5; i++) {
+                scope.a = i;
+                scope.$digest();
+                await sleep(30);
+            }
+            assert.strictEqual(element.text(), '1');
+
+            await sleep(150);
+            assert.strictEqual(element.text(), '5');
+        });
+    });
+
+    describe('slyEvaluateOn', function () {
+        it('evaluates the bindings when one of the events reaches the scope', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, '<div sly-evaluate-on="first second"><span ng-bind="a"></span></div>', scope);
+            scope.$digest();
+
+            scope.a = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '1');
+
+            app.$rootScope.$broadcast('second');
+            await sleep(20);
+            assert.strictEqual(element.text(), '2');
+        });
+
+        it('waits for a closed enclosing gate to open', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, o: 1});
+            let element = render(app, '<div sly-evaluate-only-when="o"><div sly-evaluate-on="go">' +
+                '<span ng-bind="a"></span></div></div>', scope);
+            scope.$digest();
+
+            scope.a = 2;
+            app.$rootScope.$apply(function () {
+                app.$rootScope.$broadcast('go');
+            });
+            assert.strictEqual(element.text(), '1');
+
+            scope.o = 2;
+            scope.$digest();
+            assert.strictEqual(element.text(), '2');
+        });
+    });
+
+    describe('slyDeferLink', function () {
+        it('links the contents the first time the element is shown', async function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, show: false});
+            let element = render(app, '<div><div ng-show="show"><div sly-defer-link>' +
+                '<span ng-bind="a"></span></div></div></div>', scope);
+            scope.$digest();
+            await sleep(10);
+            assert.strictEqual(element.find('span').length, 0);
+
+            scope.$apply('show = true');
+            await sleep(10);
+            assert.strictEqual(element.text(), '1');
+        });
+
+        it('links the contents of an element that is visible from the start', async function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            let element = render(app, '<div><div sly-defer-link><span ng-bind="a"></span></div></div>', scope);
+            scope.$digest();
+            await sleep(10);
+
+            assert.strictEqual(element.text(), '1');
+        });
+
+        it('unlinks the contents once hidden for sly-defer-link-unlink-after', async function () {
+            let app = createApp([USE_NG_HIDE]);
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, show: true});
+            let element = render(app, '<div><div ng-show="show">' +
+                '<div sly-defer-link sly-defer-link-unlink-after="10">' +
+                '<span ng-bind="a"></span></div></div></div>', scope);
+            scope.$digest();
+            await sleep(10);
+            assert.strictEqual(element.find('span').length, 1);
+
+            scope.$apply('show = false');
+            await sleep(10);
+            scope.$digest();
+            await sleep(50);
+            assert.strictEqual(element.find('span').length, 0);
+
+            scope.a = 2;
+            scope.$apply('show = true');
+            await sleep(10);
+            assert.strictEqual(element.text(), '2');
+        });
+    });
+
+    describe('slyEvaluateWhenIdle', function () {
+        it('evaluates the bindings after the digest', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, items: [1, 2]});
+            let element = render(app, '<div><span ng-bind="a"></span>|<div sly-evaluate-when-idle ' +
+                'sly-always-evaluate="items.length"><i ng-bind="a"></i>#<u ng-bind="items.length"></u></div></div>',
+                scope);
+            scope.$digest();
+            assert.strictEqual(element.text(), '1|#2');
+
+            await sleep(30);
+            assert.strictEqual(element.text(), '1|1#2');
+
+            scope.a = 2;
+            scope.items = [1, 2, 3];
+            scope.$digest();
+            assert.strictEqual(element.text(), '2|1#3');
+
+            await sleep(30);
+            assert.strictEqual(element.text(), '2|2#3');
+        });
+
+        it('applies the class changes of $animate when the region is evaluated', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, show: false});
+            let element = render(app, '<div sly-evaluate-when-idle="10"><span ng-show="show">x</span>' +
+                '<b ng-bind="a"></b></div>', scope);
+            scope.$digest();
+            await sleep(30);
+            assert.ok(element.find('span').hasClass('ng-hide'));
+
+            scope.$apply('show = true; a = 2');
+            await sleep(30);
+            assert.strictEqual(element.find('b').text(), '2');
+            assert.ok(!element.find('span').hasClass('ng-hide'));
+        });
+
+        it('waits for a closed enclosing gate to open', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            _.assign(scope, {a: 1, o: 1});
+            let element = render(app, '<div sly-evaluate-only-when="o">' +
+                '<div sly-evaluate-when-idle="10">{{a}}</div></div>', scope);
+            scope.$digest();
+            await sleep(30);
+
+            scope.a = 2;
+            scope.$digest();
+            await sleep(30);
+            assert.strictEqual(element.text(), '1');
+
+            scope.o = 2;
+            scope.$digest();
+            await sleep(30);
+            assert.strictEqual(element.text(), '2');
+        });
+
+        it('skips regions destroyed before the browser is idle', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.a = 1;
+            render(app, '<div sly-evaluate-when-idle="10">{{a}}</div>', scope);
+            scope.$digest();
+            scope.$destroy();
+            await sleep(30);
+
+            assert.deepStrictEqual(app.errors, []);
+        });
+    });
+});
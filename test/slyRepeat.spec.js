@@ -0,0 +1,359 @@
+'use strict';
+
+let _ = require('lodash');
+let assert = require('assert');
+let helpers = require('./helpers');
+
+let createApp = helpers.createApp;
+let render = helpers.render;
+let shownTexts = helpers.shownTexts;
+let sleep = helpers.sleep;
+
+describe('slyRepeat', function () {
+    describe('track by', function () {
+        it('moves elements and their scopes with their keys', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = [{id: 1, name: 'a'}, {id: 2, name: 'b'}, {id: 3, name: 'c'}];
+            let element = render(app, '<div><p sly-repeat="item in items track by item.id">{{item.name}}</p></div>',
+                scope);
+            scope.$digest();
+            let nodeForC = element[0].children[2];
+            let scopeForC = app.angular.element(nodeForC).scope();
+
+            scope.items = [scope.items[2], scope.items[0], {id: 4, name: 'd'}];
+            scope.$digest();
+
+            assert.deepStrictEqual(shownTexts(element), ['c', 'a', 'd']);
+            assert.strictEqual(element[0].children[0], nodeForC);
+            assert.strictEqual(app.angular.element(nodeForC).scope(), scopeForC);
+            assert.strictEqual(scopeForC.$index, 0);
+        });
+
+        it('rebinds elements in place without track by', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = ['a', 'b'];
+            let element = render(app, '<div><p sly-repeat="item in items">{{item}}</p></div>', scope);
+            scope.$digest();
+            let firstNode = element[0].children[0];
+
+            scope.items = ['b', 'a'];
+            scope.$digest();
+
+            assert.deepStrictEqual(shownTexts(element), ['b', 'a']);
+            assert.strictEqual(element[0].children[0], firstNode);
+        });
+
+        it('reports duplicate keys', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = [1, 1];
+            render(app, '<div><p sly-repeat="item in items track by item">{{item}}</p></div>', scope);
+            scope.$digest();
+
+            assert.strictEqual(app.errors.length, 1);
+            assert.match(app.errors[0].message, /[Dd]uplicate/);
+        });
+    });
+
+    describe('collections', function () {
+        it('repeats over objects, Maps and Sets', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.map = new app.window.Map([['a', 1], ['b', 2]]);
+            scope.object = {x: 1, y: 2};
+            scope.set = new app.window.Set([5, 6]);
+            let element = render(app, '<div>' +
+                '<p sly-repeat="(key, value) in map">{{key}}={{value}};</p>' +
+                '<p sly-repeat="(key, value) in object">{{key}}={{value}};</p>' +
+                '<p sly-repeat="value in set">{{value}};</p></div>', scope);
+            scope.$digest();
+            assert.strictEqual(element.text(), 'a=1;b=2;x=1;y=2;5;6;');
+
+            scope.object.z = 3;
+            scope.map.set('c', 3);
+            scope.set.delete(5);
+            scope.$digest();
+            assert.strictEqual(shownTexts(element).join(''), 'a=1;b=2;c=3;x=1;y=2;z=3;6;');
+        });
+
+        it('repeats over array-like objects', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.list = {length: 2, 0: 'a', 1: 'b'};
+            let element = render(app, '<div><p sly-repeat="item in list">{{item}}</p></div>', scope);
+            scope.$digest();
+
+            assert.deepStrictEqual(shownTexts(element), ['a', 'b']);
+        });
+    });
+
+    describe('sly-repeat-viewport', function () {
+        /**
+         * Renders 100 items of height 10 in a container of height 30 and scrolls it to the 50th item.
+         *
+         * @param {String} attributes Additional attributes for the repeated element
+         */
+        async function checkViewport(attributes) {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = _.range(100);
+            let container = app.angular.element('<div id="container"></div>');
+            app.angular.element(app.rootElement).append(container);
+            let scrollTop = 0;
+            Object.defineProperty(container[0], 'clientHeight', {value: 30});
+            Object.defineProperty(container[0], 'scrollTop', {get: () => scrollTop});
+            app.window.Element.prototype.getBoundingClientRect = function () {
+                let top = (this === container[0]) ? 0 : -scrollTop;
+                return {top: top, left: 0, bottom: top, right: 0, width: 0, height: 0};
+            };
+            let list = app.$compile('<div><p sly-repeat="item in items" sly-repeat-viewport="#container" ' +
+                'sly-repeat-item-height="10" sly-repeat-overscan="0"' + attributes + '>{{item}}</p></div>')(scope);
+            container.append(list);
+            scope.$digest();
+
+            let spacers = list[0].querySelectorAll('.sly-repeat-spacer');
+            let shownItems = () => _.without(shownTexts(list), '');
+            assert.deepStrictEqual(shownItems(), ['0', '1', '2', '3']);
+            assert.strictEqual(spacers[0].style.height, '0px');
+            assert.strictEqual(spacers[1].style.height, '960px');
+
+            scrollTop = 500;
+            container[0].dispatchEvent(new app.window.Event('scroll'));
+            await sleep(50);
+
+            assert.deepStrictEqual(shownItems(), ['50', '51', '52', '53']);
+            assert.strictEqual(spacers[0].style.height, '500px');
+            assert.strictEqual(spacers[1].style.height, '460px');
+        }
+
+        it('only links the items visible in the container', function () {
+            return checkViewport('');
+        });
+
+        it('updates the elements taken from a pool when scrolling', function () {
+            return checkViewport(' sly-repeat-pool="p"');
+        });
+    });
+
+    describe('sly-repeat-animate', function () {
+        it('uses $animate to show, hide and move elements', async function () {
+            let app = createApp(null, {animate: true, modules: ['ngAnimate']});
+            let $animate = app.injector.get('$animate');
+            let calls = [];
+            ['enter', 'leave', 'move'].forEach(function (method) {
+                let original = $animate[method];
+                $animate[method] = function (element) {
+                    calls.push(method + ':' + element[0].textContent);
+                    return original.apply(this, arguments);
+                };
+            });
+            let scope = app.$rootScope.$new();
+            scope.items = [1, 2, 3];
+            let element = render(app, '<div><p sly-repeat="x in items track by x" sly-repeat-animate>{{x}}</p></div>',
+                scope);
+            scope.$digest();
+            assert.strictEqual(calls.filter((call) => call.startsWith('enter:')).length, 3);
+
+            calls = [];
+            scope.items = [3, 1];
+            scope.$digest();
+            assert.deepStrictEqual(calls, ['leave:2', 'move:3']);
+
+            await sleep(50);
+            assert.deepStrictEqual(shownTexts(element), ['3', '1']);
+        });
+
+        it('does not animate hiding or moving elements unless enabled', function () {
+            let app = createApp(null, {animate: true, modules: ['ngAnimate']});
+            let $animate = app.injector.get('$animate');
+            let scope = app.$rootScope.$new();
+            scope.items = [1, 2];
+            let element = render(app, '<div><p sly-repeat="x in items track by x">{{x}}</p></div>', scope);
+            scope.$digest();
+            let count = 0;
+            $animate.enter = $animate.leave = $animate.move = function () {
+                count++;
+            };
+
+            scope.items = [2];
+            scope.$digest();
+
+            assert.strictEqual(count, 0);
+            assert.deepStrictEqual(shownTexts(element), ['2']);
+        });
+    });
+
+    describe('buffers and pools', function () {
+        it('limits the hidden elements kept with sly-repeat-max-buffer', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = _.range(6);
+            let element = render(app, '<div><p sly-repeat="x in items" sly-repeat-max-buffer="2" ' +
+                'sly-repeat-buffer-timeout="20">{{x}}</p></div>', scope);
+            scope.$digest();
+
+            scope.items = [7];
+            scope.$digest();
+            assert.strictEqual(element[0].children.length, 3);
+
+            await sleep(100);
+            assert.strictEqual(element[0].children.length, 1);
+            assert.deepStrictEqual(shownTexts(element), ['7']);
+        });
+
+        it('reuses the linked elements of instances sharing a pool', function () {
+            let app = createApp();
+            let pools = app.injector.get('slyRepeatPools');
+            let scope = app.$rootScope.$new();
+            scope.a = [1, 2, 3];
+            scope.b = [];
+            let element = render(app, '<div><div sly-repeat="x in a" sly-repeat-pool="p" sly-repeat-max-buffer="0">' +
+                '{{x}}</div><div sly-repeat="x in b" sly-repeat-pool="p">{{x}}</div></div>', scope);
+            scope.$digest();
+            _.forEach(element[0].children, function (child) {
+                child.wasLinkedForA = true;
+            });
+
+            scope.a = [];
+            scope.$digest();
+            assert.strictEqual(pools.get('p').elements.length, 3);
+
+            scope.b = [7, 8];
+            scope.$digest();
+            let shown = _.filter(element[0].children, (child) => child.style.display !== 'none');
+            assert.deepStrictEqual(_.map(shown, 'textContent'), ['7', '8']);
+            assert.ok(_.every(shown, 'wasLinkedForA'));
+            assert.strictEqual(helpers.countScopes(scope), 5);
+
+            scope.$destroy();
+            assert.strictEqual(pools.get('p').elements.length, 0);
+        });
+
+        it('rejects instances sharing a pool with different templates', function () {
+            let app = createApp();
+            render(app, '<div><p sly-repeat="x in a" sly-repeat-pool="q">{{x}}</p>' +
+                '<p sly-repeat="x in a" sly-repeat-pool="q">{{x}}!</p></div>');
+
+            assert.strictEqual(app.errors.length, 1);
+            assert.match(app.errors[0].message, /must repeat the same template/);
+        });
+
+        it('applies the limits configured for each pool', function () {
+            let app = createApp([['slyRepeatPoolsProvider', function (slyRepeatPoolsProvider) {
+                slyRepeatPoolsProvider.setLimits('small', 1, null);
+            }]]);
+            let pools = app.injector.get('slyRepeatPools');
+            let scope = app.$rootScope.$new();
+            scope.a = [1, 2, 3];
+            render(app, '<div><p sly-repeat="x in a" sly-repeat-pool="small" sly-repeat-max-buffer="0">{{x}}</p>' +
+                '<p sly-repeat="x in a" sly-repeat-pool="large" sly-repeat-max-buffer="0">{{x}}</p></div>', scope);
+            scope.$digest();
+            scope.a = [];
+            scope.$digest();
+
+            assert.strictEqual(pools.get('small').elements.length, 1);
+            assert.strictEqual(pools.get('large').elements.length, 3);
+        });
+
+        it('rejects invalid pool limits', function () {
+            assert.throws(function () {
+                createApp([['slyRepeatPoolsProvider', function (slyRepeatPoolsProvider) {
+                    slyRepeatPoolsProvider.setDefaultLimits(-1, null);
+                }]]);
+            });
+        });
+    });
+
+    describe('sly-repeat-item-version', function () {
+        it('only evaluates the bindings of an element when its item changes', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            let calls = 0;
+            scope.format = function (item) {
+                calls++;
+                return item.name;
+            };
+            scope.suffix = 'a';
+            scope.items = _.map(_.range(3), (i) => ({id: i, name: 'n' + i, version: 0}));
+            let element = render(app, '<div><p sly-repeat="item in items track by item.id" ' +
+                'sly-repeat-item-version="item.version" sly-repeat-always-evaluate="suffix">' +
+                '<span ng-bind="format(item)"></span>-<span ng-bind="suffix"></span></p></div>', scope);
+            scope.$digest();
+            calls = 0;
+            scope.$digest();
+            assert.strictEqual(calls, 0);
+
+            scope.items[1].name = 'changed';
+            scope.suffix = 'b';
+            scope.$digest();
+            assert.deepStrictEqual(shownTexts(element), ['n0-b', 'n1-b', 'n2-b']);
+
+            scope.items[1].version = 1;
+            scope.$digest();
+            assert.deepStrictEqual(shownTexts(element), ['n0-b', 'changed-b', 'n2-b']);
+            assert.strictEqual(calls, 1);
+        });
+    });
+
+    describe('sly-repeat-progressive', function () {
+        it('links large batches in chunks and reports progress', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            let progress = [];
+            let rendered = [];
+            scope.$on('slyRepeatProgress', (event, data) => progress.push(data.rendered));
+            scope.$on('slyRepeatRendered', (event, data) => rendered.push(data.total));
+            scope.items = [];
+            let element = render(app, '<div><p sly-repeat="x in items" sly-repeat-progressive="4">{{x}}</p></div>',
+                scope);
+            scope.$digest();
+
+            scope.items = _.range(300);
+            scope.$digest();
+            assert.ok(shownTexts(element).length < 300);
+
+            await sleep(1000);
+            assert.strictEqual(_.last(rendered), 300);
+            assert.ok(progress.length > 0);
+            assert.strictEqual(shownTexts(element).length, 300);
+            assert.strictEqual(_.last(shownTexts(element)), '299');
+        });
+
+        it('abandons a batch when the collection changes', async function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = [];
+            let element = render(app, '<div><p sly-repeat="x in items" sly-repeat-progressive="1">{{x}}</p></div>',
+                scope);
+            scope.$digest();
+
+            scope.items = _.range(3000);
+            scope.$digest();
+            scope.items = [1, 2, 3];
+            scope.$digest();
+
+            await sleep(100);
+            assert.deepStrictEqual(shownTexts(element), ['1', '2', '3']);
+        });
+    });
+
+    describe('sly-repeat-start and sly-repeat-end', function () {
+        it('repeats ranges of sibling elements', function () {
+            let app = createApp();
+            let scope = app.$rootScope.$new();
+            scope.items = [1, 2, 3];
+            let table = render(app, '<table><tbody><tr sly-repeat-start="x in items track by x"><td>{{x}}</td></tr>' +
+                '<tr ng-if="x % 2"><td>odd{{x}}</td></tr><tr sly-repeat-end><td>end{{x}}</td></tr></tbody></table>',
+                scope);
+            let tbody = table.find('tbody');
+            scope.$digest();
+            assert.deepStrictEqual(shownTexts(tbody), ['1', 'odd1', 'end1', '2', 'end2', '3', 'odd3', 'end3']);
+
+            scope.items = [3, 1];
+            scope.$digest();
+            assert.deepStrictEqual(shownTexts(tbody), ['3', 'odd3', 'end3', '1', 'odd1', 'end1']);
+        });
+    });
+});